@@ -4,6 +4,13 @@ export default {
   AUTH_ENABLED: parseBoolean(process.env.AUTH_ENABLED, false),
   AUTH_JWT_SECRET: String(process.env.AUTH_JWT_SECRET || "").trim(),
   AUTH_JWT_EXPIRES_IN: String(process.env.AUTH_JWT_EXPIRES_IN || "7d").trim() || "7d",
+  AUTH_GUEST_TOKEN_EXPIRES_IN:
+    String(process.env.AUTH_GUEST_TOKEN_EXPIRES_IN || "2h").trim() || "2h",
   AUTH_BCRYPT_ROUNDS: parsePositiveInteger(process.env.AUTH_BCRYPT_ROUNDS, 12),
+  // Comma-separated account emails allowed to use admin routes (e.g. force-closing rooms).
+  AUTH_ADMIN_EMAILS: String(process.env.AUTH_ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean),
   AUTH_RELAXED_VALIDATION: parseBoolean(process.env.AUTH_RELAXED_VALIDATION, false),
 };
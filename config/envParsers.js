@@ -11,3 +11,11 @@ export const parsePositiveInteger = (value, fallback) => {
   if (!Number.isInteger(parsed) || parsed <= 0) return fallback;
   return parsed;
 };
+
+export const parseNonNegativeInteger = (value, fallback) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return fallback;
+  const parsed = Number(raw);
+  if (!Number.isInteger(parsed) || parsed < 0) return fallback;
+  return parsed;
+};
@@ -0,0 +1,41 @@
+import path from "path";
+import { parsePositiveInteger } from "./envParsers.js";
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  "application/pdf",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "text/plain",
+  "text/csv",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+const parseMimeTypes = (value) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return [...DEFAULT_ALLOWED_MIME_TYPES];
+  }
+
+  const mimeTypes = value
+    .split(",")
+    .map((mimeType) => mimeType.trim().toLowerCase())
+    .filter(Boolean);
+  return mimeTypes.length > 0 ? [...new Set(mimeTypes)] : [...DEFAULT_ALLOWED_MIME_TYPES];
+};
+
+export default {
+  // Should be a directory used for nothing else: uploads are deleted from it when rooms end.
+  ROOM_FILE_UPLOAD_DIR: path.resolve(
+    String(process.env.ROOM_FILE_UPLOAD_DIR || "").trim() || "uploads"
+  ),
+  ROOM_FILE_MAX_BYTES: parsePositiveInteger(process.env.ROOM_FILE_MAX_BYTES, 25 * 1024 * 1024),
+  ROOM_FILE_MAX_PER_ROOM: parsePositiveInteger(process.env.ROOM_FILE_MAX_PER_ROOM, 50),
+  ROOM_FILE_ALLOWED_MIME_TYPES: parseMimeTypes(process.env.ROOM_FILE_ALLOWED_MIME_TYPES),
+  ROOM_FILE_LINK_TTL_MS: parsePositiveInteger(
+    process.env.ROOM_FILE_LINK_TTL_MS,
+    6 * 60 * 60_000
+  ),
+};
@@ -0,0 +1,13 @@
+import { parseNonNegativeInteger, parsePositiveInteger } from "./envParsers.js";
+
+export default {
+  MEETING_EARLY_JOIN_MS: parseNonNegativeInteger(process.env.MEETING_EARLY_JOIN_MS, 10 * 60_000),
+  MEETING_MAX_DURATION_MS: parsePositiveInteger(
+    process.env.MEETING_MAX_DURATION_MS,
+    24 * 60 * 60_000
+  ),
+  MEETING_START_CHECK_INTERVAL_MS: parsePositiveInteger(
+    process.env.MEETING_START_CHECK_INTERVAL_MS,
+    30_000
+  ),
+};
@@ -0,0 +1,10 @@
+import { parsePositiveInteger } from "./envParsers.js";
+
+export default {
+  // A user with no activity on any of their devices for this long is shown as away.
+  PRESENCE_IDLE_TIMEOUT_MS: parsePositiveInteger(process.env.PRESENCE_IDLE_TIMEOUT_MS, 5 * 60_000),
+  PRESENCE_IDLE_CHECK_INTERVAL_MS: parsePositiveInteger(
+    process.env.PRESENCE_IDLE_CHECK_INTERVAL_MS,
+    15_000
+  ),
+};
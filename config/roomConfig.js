@@ -0,0 +1,52 @@
+import { parseBoolean, parseNonNegativeInteger, parsePositiveInteger } from "./envParsers.js";
+
+export default {
+  ROOM_AUTO_CREATE_ON_JOIN: parseBoolean(process.env.ROOM_AUTO_CREATE_ON_JOIN, true),
+  ROOM_MAX_PARTICIPANTS: parsePositiveInteger(process.env.ROOM_MAX_PARTICIPANTS, 8),
+  ROOM_LOBBY_TIMEOUT_MS: parsePositiveInteger(process.env.ROOM_LOBBY_TIMEOUT_MS, 60_000),
+  ROOM_CHAT_HISTORY_LIMIT: parsePositiveInteger(process.env.ROOM_CHAT_HISTORY_LIMIT, 100),
+  ROOM_CHAT_MAX_LENGTH: parsePositiveInteger(process.env.ROOM_CHAT_MAX_LENGTH, 2000),
+  ROOM_AUDIO_LEVEL_MIN_INTERVAL_MS: parsePositiveInteger(
+    process.env.ROOM_AUDIO_LEVEL_MIN_INTERVAL_MS,
+    200
+  ),
+  ROOM_ACTIVE_SPEAKER_HOLD_MS: parsePositiveInteger(process.env.ROOM_ACTIVE_SPEAKER_HOLD_MS, 1500),
+  ROOM_WHITEBOARD_MAX_OPS: parsePositiveInteger(process.env.ROOM_WHITEBOARD_MAX_OPS, 5000),
+  // 0 disables the grace window: a dropped socket leaves its room immediately.
+  ROOM_RECONNECT_GRACE_MS: parseNonNegativeInteger(process.env.ROOM_RECONNECT_GRACE_MS, 10_000),
+  // How long a seat is kept for a peer that put the room on hold to take a direct call.
+  ROOM_CALL_HOLD_MS: parsePositiveInteger(process.env.ROOM_CALL_HOLD_MS, 10 * 60_000),
+  // How long a main room is kept after its breakout rooms end, so recalled peers can get back to
+  // it even when nobody stayed behind.
+  ROOM_BREAKOUT_RECALL_GRACE_MS: parsePositiveInteger(
+    process.env.ROOM_BREAKOUT_RECALL_GRACE_MS,
+    30_000
+  ),
+  ROOM_REACTION_MIN_INTERVAL_MS: parsePositiveInteger(
+    process.env.ROOM_REACTION_MIN_INTERVAL_MS,
+    500
+  ),
+  ROOM_INVITE_TTL_MS: parsePositiveInteger(process.env.ROOM_INVITE_TTL_MS, 24 * 60 * 60_000),
+  ROOM_INVITE_MAX_TTL_MS: parsePositiveInteger(
+    process.env.ROOM_INVITE_MAX_TTL_MS,
+    30 * 24 * 60 * 60_000
+  ),
+  ROOM_POLL_RESULT_TTL_MS: parsePositiveInteger(
+    process.env.ROOM_POLL_RESULT_TTL_MS,
+    30 * 24 * 60 * 60_000
+  ),
+  ROOM_TRANSCRIPT_MAX_SEGMENTS: parsePositiveInteger(
+    process.env.ROOM_TRANSCRIPT_MAX_SEGMENTS,
+    5000
+  ),
+  ROOM_SUMMARY_TTL_MS: parsePositiveInteger(
+    process.env.ROOM_SUMMARY_TTL_MS,
+    90 * 24 * 60 * 60_000
+  ),
+  ROOM_TIMELINE_MAX_EVENTS: parsePositiveInteger(process.env.ROOM_TIMELINE_MAX_EVENTS, 5000),
+  ROOM_TIMELINE_TTL_MS: parsePositiveInteger(
+    process.env.ROOM_TIMELINE_TTL_MS,
+    90 * 24 * 60 * 60_000
+  ),
+  ROOM_IDLE_TTL_MS: parsePositiveInteger(process.env.ROOM_IDLE_TTL_MS, 7 * 24 * 60 * 60_000),
+};
@@ -0,0 +1,320 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+
+// ---------------------------------------------------------------------------
+// Mocks — must be declared before importing the handlers
+// ---------------------------------------------------------------------------
+const recordCallOutcome = jest.fn();
+
+jest.unstable_mockModule("../../modules/calls/services/callRecordService.js", () => ({
+  recordCallOutcome,
+}));
+
+const { default: createDirectCallHandler } = await import("../directCallHandler.js");
+const { default: roomHandler } = await import("../roomHandler.js");
+const { createAuthPresenceStore } = await import("../../realtime/authPresenceStore.js");
+const { rooms } = await import("../room/state.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+// Just enough of a Socket.IO namespace for the room and direct call handlers: sockets, adapter
+// rooms and targeted emits. Every socket records what it receives.
+const createFakeIo = () => {
+  const sockets = new Map();
+  const adapterRooms = new Map();
+
+  const to = (targets, exceptIds = []) => ({
+    emit: (event, payload) => {
+      const socketIds = new Set();
+      [].concat(targets).forEach((target) => {
+        if (sockets.has(target)) socketIds.add(target);
+        (adapterRooms.get(target) || []).forEach((socketId) => socketIds.add(socketId));
+      });
+      socketIds.forEach((socketId) => {
+        if (!exceptIds.includes(socketId)) sockets.get(socketId).received.push([event, payload]);
+      });
+    },
+    except: (socketIds) => to(targets, exceptIds.concat(socketIds)),
+  });
+
+  const nsp = { sockets, adapter: { rooms: adapterRooms }, to };
+  return { sockets: nsp, to, emit: () => {} };
+};
+
+let io;
+let presenceStore;
+let socketCount = 0;
+
+const authRuntime = { getUserById: async () => null };
+
+const connect = (userId) => {
+  socketCount += 1;
+  const listeners = {};
+  const socket = {
+    id: `socket-${socketCount}`,
+    data: { authUserId: userId },
+    nsp: io.sockets,
+    connected: true,
+    received: [],
+    on: (event, listener) => {
+      (listeners[event] ||= []).push(listener);
+    },
+    emit: (event, payload) => {
+      socket.received.push([event, payload]);
+    },
+    join: (roomId) => {
+      if (!io.sockets.adapter.rooms.has(roomId)) io.sockets.adapter.rooms.set(roomId, new Set());
+      io.sockets.adapter.rooms.get(roomId).add(socket.id);
+    },
+    leave: (roomId) => {
+      io.sockets.adapter.rooms.get(roomId)?.delete(socket.id);
+    },
+    to: (roomId) => io.sockets.to(roomId, [socket.id]),
+    trigger: async (event, payload) => {
+      for (const listener of listeners[event] || []) {
+        await listener(payload);
+      }
+    },
+    // Events of one type received so far, newest last.
+    events: (event) => socket.received.filter(([name]) => name === event).map(([, p]) => p),
+  };
+
+  io.sockets.sockets.set(socket.id, socket);
+  presenceStore.register({ userId, socketId: socket.id });
+  const roomSession = roomHandler(socket);
+  createDirectCallHandler({ io, socket, presenceStore, authRuntime, roomSession });
+  return socket;
+};
+
+const requestCall = async (caller, payload) => {
+  await caller.trigger("direct-call-request", { mode: "audio", ...payload });
+  return caller.events("direct-call-ringing").at(-1);
+};
+
+// Seats the socket in a fresh auto-created room and returns its ID.
+const joinRoom = async (socket, peerId) => {
+  const roomId = randomUUID();
+  await socket.trigger("joined-room", { roomId, peerId });
+  expect(rooms[roomId].participants).toContain(peerId);
+  return roomId;
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("createDirectCallHandler", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    recordCallOutcome.mockClear();
+    io = createFakeIo();
+    presenceStore = createAuthPresenceStore();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe("group calls", () => {
+    it("rings each distinct invitee once and caps the group size", async () => {
+      const caller = connect("caller-1");
+      const invitee = connect("invitee-1");
+      connect("invitee-2");
+
+      const ringing = await requestCall(caller, {
+        targetUserIds: ["invitee-1", " invitee-1 ", "invitee-2", ""],
+      });
+
+      expect(ringing.targetUserIds).toEqual(["invitee-1", "invitee-2"]);
+      expect(invitee.events("direct-call-incoming")).toHaveLength(1);
+
+      await requestCall(caller, {
+        targetUserIds: Array.from({ length: 8 }, (_, index) => `user-${index}`),
+      });
+      expect(caller.events("direct-call-error").at(-1).code).toBe("too-many-targets");
+    });
+
+    it("reports each invitee's answer to the caller as it arrives", async () => {
+      const caller = connect("caller-1");
+      const first = connect("invitee-1");
+      const second = connect("invitee-2");
+      const { requestId, roomId } = await requestCall(caller, {
+        targetUserIds: ["invitee-1", "invitee-2"],
+      });
+
+      await first.trigger("direct-call-response", { requestId, accepted: true });
+      expect(caller.events("direct-call-invitee-updated")).toEqual([
+        expect.objectContaining({
+          requestId,
+          roomId,
+          targetUserId: "invitee-1",
+          outcome: "accepted",
+          ringingUserIds: ["invitee-2"],
+        }),
+      ]);
+      expect(caller.events("direct-call-accepted")).toEqual([
+        expect.objectContaining({ roomId, targetUserId: "invitee-1" }),
+      ]);
+
+      await second.trigger("direct-call-response", { requestId, accepted: false });
+      expect(caller.events("direct-call-invitee-updated").at(-1)).toMatchObject({
+        targetUserId: "invitee-2",
+        outcome: "rejected",
+        ringingUserIds: [],
+      });
+
+      expect(recordCallOutcome.mock.calls.map(([record]) => record)).toEqual([
+        expect.objectContaining({ requestId, targetUserId: "invitee-1", outcome: "accepted" }),
+        expect.objectContaining({ requestId, targetUserId: "invitee-2", outcome: "rejected" }),
+      ]);
+    });
+
+    it("ends the request once every invitee has answered", async () => {
+      const caller = connect("caller-1");
+      const first = connect("invitee-1");
+      const second = connect("invitee-2");
+      const { requestId } = await requestCall(caller, {
+        targetUserIds: ["invitee-1", "invitee-2"],
+      });
+
+      await first.trigger("direct-call-response", { requestId, accepted: false });
+      expect(caller.events("direct-call-rejected")).toHaveLength(0);
+      await second.trigger("direct-call-response", { requestId, accepted: false });
+      expect(caller.events("direct-call-rejected")).toEqual([
+        expect.objectContaining({ requestId, targetUserIds: ["invitee-1", "invitee-2"] }),
+      ]);
+
+      // Nothing is left to ring, answer or time out.
+      await first.trigger("direct-call-response", { requestId, accepted: true });
+      jest.advanceTimersByTime(60_000);
+      expect(recordCallOutcome).toHaveBeenCalledTimes(2);
+      expect(caller.events("direct-call-invitee-updated")).toHaveLength(2);
+    });
+
+    it("keeps ringing the others after an accept and times them out", async () => {
+      const caller = connect("caller-1");
+      const first = connect("invitee-1");
+      const second = connect("invitee-2");
+      const { requestId } = await requestCall(caller, {
+        targetUserIds: ["invitee-1", "invitee-2"],
+      });
+
+      await first.trigger("direct-call-response", { requestId, accepted: true });
+      jest.advanceTimersByTime(60_000);
+
+      expect(second.events("direct-call-cancelled")).toEqual([
+        expect.objectContaining({ requestId, reason: "timeout" }),
+      ]);
+      expect(caller.events("direct-call-invitee-updated").at(-1)).toMatchObject({
+        targetUserId: "invitee-2",
+        outcome: "timeout",
+      });
+      // Somebody accepted, so the call itself did not end.
+      expect(caller.events("direct-call-ended")).toHaveLength(0);
+    });
+  });
+
+  describe("busy targets", () => {
+    it("sends call-waiting instead of ringing a target already in a room", async () => {
+      const caller = connect("caller-1");
+      const target = connect("target-1");
+      const activeRoomId = await joinRoom(target, "peer-target");
+
+      const ringing = await requestCall(caller, { targetUserId: "target-1" });
+
+      expect(ringing.targetUserIds).toEqual(["target-1"]);
+      expect(target.events("direct-call-incoming")).toHaveLength(0);
+      expect(target.events("direct-call-waiting")).toEqual([
+        expect.objectContaining({ requestId: ringing.requestId, activeRoomId }),
+      ]);
+    });
+
+    it("reports the target busy when call waiting is turned off", async () => {
+      const caller = connect("caller-1");
+      const target = connect("target-1");
+      await joinRoom(target, "peer-target");
+      await target.trigger("direct-call-waiting-set", { enabled: false });
+
+      await requestCall(caller, { targetUserId: "target-1" });
+
+      expect(target.events("direct-call-waiting")).toHaveLength(0);
+      expect(caller.events("direct-call-error").at(-1).code).toBe("target-busy");
+    });
+
+    it("still rings an idle device when a busy one has call waiting turned off", async () => {
+      const caller = connect("caller-1");
+      const busyDevice = connect("target-1");
+      const idleDevice = connect("target-1");
+      await joinRoom(busyDevice, "peer-target");
+      await busyDevice.trigger("direct-call-waiting-set", { enabled: false });
+
+      const ringing = await requestCall(caller, { targetUserId: "target-1" });
+
+      expect(ringing.targetUserIds).toEqual(["target-1"]);
+      expect(idleDevice.events("direct-call-incoming")).toEqual([
+        expect.objectContaining({ requestId: ringing.requestId }),
+      ]);
+      expect(busyDevice.events("direct-call-incoming")).toHaveLength(0);
+      expect(busyDevice.events("direct-call-waiting")).toHaveLength(0);
+      expect(caller.events("direct-call-error")).toHaveLength(0);
+    });
+
+    it("keeps the room seat when the current call is put on hold", async () => {
+      const caller = connect("caller-1");
+      const target = connect("target-1");
+      const activeRoomId = await joinRoom(target, "peer-target");
+      const { requestId } = await requestCall(caller, { targetUserId: "target-1" });
+
+      await target.trigger("direct-call-response", {
+        requestId,
+        accepted: true,
+        currentCall: "hold",
+      });
+
+      expect(rooms[activeRoomId].participants).toContain("peer-target");
+      expect(rooms[activeRoomId].reconnecting["peer-target"]).toMatchObject({ onHold: true });
+      expect(target.events("room-on-hold")).toEqual([
+        expect.objectContaining({ roomId: activeRoomId, peerId: "peer-target" }),
+      ]);
+      expect(caller.events("direct-call-accepted")).toHaveLength(1);
+    });
+
+    it("gives up the room seat when the current call is left", async () => {
+      const caller = connect("caller-1");
+      const target = connect("target-1");
+      const other = connect("other-1");
+      const activeRoomId = await joinRoom(target, "peer-target");
+      await other.trigger("joined-room", { roomId: activeRoomId, peerId: "peer-other" });
+      const { requestId } = await requestCall(caller, { targetUserId: "target-1" });
+
+      await target.trigger("direct-call-response", {
+        requestId,
+        accepted: true,
+        currentCall: "leave",
+      });
+
+      expect(rooms[activeRoomId].participants).not.toContain("peer-target");
+      expect(rooms[activeRoomId].reconnecting?.["peer-target"]).toBeUndefined();
+      expect(target.data.roomId).toBeUndefined();
+      expect(caller.events("direct-call-accepted")).toHaveLength(1);
+    });
+
+    it("refuses an accept that neither holds nor leaves the current call", async () => {
+      const caller = connect("caller-1");
+      const target = connect("target-1");
+      const activeRoomId = await joinRoom(target, "peer-target");
+      const { requestId } = await requestCall(caller, { targetUserId: "target-1" });
+
+      await target.trigger("direct-call-response", {
+        requestId,
+        accepted: true,
+        currentCall: "both",
+      });
+
+      expect(target.events("direct-call-error").at(-1).code).toBe("current-call-invalid");
+      expect(rooms[activeRoomId].participants).toContain("peer-target");
+      expect(caller.events("direct-call-accepted")).toHaveLength(0);
+    });
+  });
+});
@@ -1,6 +1,31 @@
 import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../config/roomConfig.js";
+import { getJoinedRoomId } from "./room/state.js";
+import { recordCallOutcome } from "../modules/calls/services/callRecordService.js";
 
 const DEFAULT_DIRECT_CALL_TIMEOUT_MS = 30_000;
+const RINGING = "ringing";
+const CURRENT_CALL_ACTIONS = new Set(["hold", "leave"]);
+
+// Invitees that are not rung, by outcome. When nobody can be rung the request fails with the
+// shared code, or with `target-unavailable` when the reasons differ.
+const UNREACHABLE_INVITES = {
+  offline: {
+    code: "target-offline",
+    message: "User is offline right now.",
+    groupMessage: "None of these users are online right now.",
+  },
+  dnd: {
+    code: "target-dnd",
+    message: "User does not want to be disturbed right now.",
+    groupMessage: "All of these users have Do Not Disturb on.",
+  },
+  busy: {
+    code: "target-busy",
+    message: "User is busy in another call.",
+    groupMessage: "All of these users are busy in another call.",
+  },
+};
 const pendingDirectCalls = new Map();
 
 const parsePositiveInteger = (value, fallback) => {
@@ -14,6 +39,9 @@ const DIRECT_CALL_TIMEOUT_MS = parsePositiveInteger(
   DEFAULT_DIRECT_CALL_TIMEOUT_MS
 );
 
+// Everyone invited has to fit in the call's room together with the caller.
+const MAX_DIRECT_CALL_TARGETS = Math.max(1, RoomConfig.ROOM_MAX_PARTICIPANTS - 1);
+
 const normalizeId = (value) => String(value || "").trim();
 
 const normalizeMode = (value) => {
@@ -22,6 +50,12 @@ const normalizeMode = (value) => {
   return "";
 };
 
+// `targetUserIds` rings several users at once; `targetUserId` is kept for one-to-one calls.
+const normalizeTargetUserIds = (targetUserIds, targetUserId) => {
+  const values = Array.isArray(targetUserIds) ? targetUserIds : [targetUserId];
+  return [...new Set(values.map(normalizeId).filter(Boolean))];
+};
+
 const ensureOnlineSocketIds = (io, socketIds) => {
   return socketIds.filter((socketId) => !!io.sockets.sockets.get(socketId));
 };
@@ -32,7 +66,50 @@ const buildCallerInfo = (fallbackUserId, fallbackEmail, user) => ({
   displayName: String(user?.displayName || "").trim(),
 });
 
-const createDirectCallHandler = ({ io, socket, presenceStore, authRuntime }) => {
+const getRingingUserIds = (request) =>
+  request.targetUserIds.filter((userId) => request.invites[userId] === RINGING);
+
+// Every settled invite ends up in the caller's and that invitee's call history.
+const recordOutcome = (request, targetUserId, outcome, reason = "") => {
+  void recordCallOutcome({
+    requestId: request.requestId,
+    callerUserId: request.callerUserId,
+    targetUserId,
+    mode: request.mode,
+    roomId: request.roomId,
+    outcome,
+    reason,
+    requestedAt: request.requestedAt,
+  });
+};
+
+// Which of a user's devices to ring and how. A device that sits in a room is busy: it gets a
+// call-waiting notification instead of ringing, unless call waiting was turned off on it. A user
+// is only reported as busy when no device is left to ring or notify.
+const classifyTargetSockets = (io, socketIds) => {
+  const ringSocketIds = [];
+  const waitingSocketIds = [];
+  const activeRoomIds = {};
+  let busy = false;
+
+  socketIds.forEach((socketId) => {
+    const targetSocket = io.sockets.sockets.get(socketId);
+    const activeRoomId = getJoinedRoomId(targetSocket);
+    if (!activeRoomId) {
+      ringSocketIds.push(socketId);
+      return;
+    }
+    busy = true;
+    if (targetSocket.data.callWaitingDisabled) return;
+    waitingSocketIds.push(socketId);
+    activeRoomIds[socketId] = activeRoomId;
+  });
+
+  if (busy && ringSocketIds.length === 0 && waitingSocketIds.length === 0) return null;
+  return { ringSocketIds, waitingSocketIds, activeRoomIds };
+};
+
+const createDirectCallHandler = ({ io, socket, presenceStore, authRuntime, roomSession }) => {
   const emitDirectCallError = (message, code = "direct-call-error") => {
     socket.emit("direct-call-error", {
       message: String(message || "Direct call failed."),
@@ -40,131 +117,215 @@ const createDirectCallHandler = ({ io, socket, presenceStore, authRuntime }) =>
     });
   };
 
-  const clearPendingDirectCall = (requestId, options = {}) => {
-    const normalizedRequestId = normalizeId(requestId);
-    if (!normalizedRequestId) return null;
+  const buildRequestPayload = (request) => ({
+    requestId: request.requestId,
+    roomId: request.roomId,
+    mode: request.mode,
+  });
 
-    const request = pendingDirectCalls.get(normalizedRequestId);
-    if (!request) return null;
+  // Drops the request once no invitee is left ringing. When nobody accepted, the caller gets the
+  // same closing event a one-to-one call would: rejected if everyone declined, ended otherwise.
+  const finishRequestIfSettled = (request, options = {}) => {
+    if (getRingingUserIds(request).length > 0) return;
 
-    pendingDirectCalls.delete(normalizedRequestId);
+    pendingDirectCalls.delete(request.requestId);
     if (request.timeoutId) {
       clearTimeout(request.timeoutId);
     }
 
+    const outcomes = request.targetUserIds.map((userId) => request.invites[userId]);
+    if (!options.notifyCaller || outcomes.includes("accepted")) return;
+
     const callerSocket = io.sockets.sockets.get(request.callerSocketId);
-    const onlineTargetSocketIds = ensureOnlineSocketIds(
-      io,
-      presenceStore.getSocketIdsForUser(request.targetUserId)
-    );
+    if (!callerSocket) return;
+
+    const allRejected = outcomes.every((outcome) => outcome === "rejected");
+    callerSocket.emit(allRejected ? "direct-call-rejected" : "direct-call-ended", {
+      ...buildRequestPayload(request),
+      targetUserId: request.targetUserIds[0],
+      targetUserIds: request.targetUserIds,
+      message: allRejected ? undefined : String(options.callerMessage || "").trim() || undefined,
+      reason: allRejected ? "rejected" : String(options.reason || "").trim() || undefined,
+    });
+  };
+
+  // Settles one invitee of a request: records the outcome, stops the invitee's other devices from
+  // ringing and tells the caller as soon as it happens.
+  const settleInvite = (request, targetUserId, outcome, options = {}) => {
+    if (request.invites[targetUserId] !== RINGING) return;
+    request.invites[targetUserId] = outcome;
+    recordOutcome(request, targetUserId, outcome, options.reason);
+
+    if (options.notifyTarget) {
+      ensureOnlineSocketIds(io, presenceStore.getSocketIdsForUser(targetUserId)).forEach(
+        (targetSocketId) => {
+          if (targetSocketId === options.exceptSocketId) return;
+          io.to(targetSocketId).emit("direct-call-cancelled", {
+            ...buildRequestPayload(request),
+            callerUserId: request.callerUserId,
+            reason: String(options.targetReason || options.reason || "").trim() || "cancelled",
+            message: String(options.targetMessage || "").trim() || undefined,
+          });
+        }
+      );
+    }
 
+    const callerSocket = io.sockets.sockets.get(request.callerSocketId);
     if (options.notifyCaller && callerSocket) {
-      callerSocket.emit(options.callerEventName || "direct-call-ended", {
-        requestId: normalizedRequestId,
-        roomId: request.roomId,
-        mode: request.mode,
-        targetUserId: request.targetUserId,
-        message: String(options.callerMessage || "").trim() || undefined,
+      callerSocket.emit("direct-call-invitee-updated", {
+        ...buildRequestPayload(request),
+        targetUserId,
+        outcome,
         reason: String(options.reason || "").trim() || undefined,
+        ringingUserIds: getRingingUserIds(request),
       });
-    }
-
-    if (options.notifyTargets) {
-      onlineTargetSocketIds.forEach((targetSocketId) => {
-        io.to(targetSocketId).emit("direct-call-cancelled", {
-          requestId: normalizedRequestId,
-          roomId: request.roomId,
-          mode: request.mode,
-          callerUserId: request.callerUserId,
-          reason: String(options.reason || "").trim() || "cancelled",
-          message: String(options.targetMessage || "").trim() || undefined,
+      if (outcome === "accepted") {
+        callerSocket.emit("direct-call-accepted", {
+          ...buildRequestPayload(request),
+          targetUserId,
         });
-      });
+      }
     }
 
-    return request;
+    finishRequestIfSettled(request, options);
   };
 
-  const requestDirectCall = async ({ targetUserId, mode } = {}) => {
+  const settleRingingInvites = (request, outcome, options = {}) => {
+    getRingingUserIds(request).forEach((targetUserId) => {
+      settleInvite(request, targetUserId, outcome, options);
+    });
+  };
+
+  const requestDirectCall = async ({ targetUserId, targetUserIds, mode } = {}) => {
     const callerUserId = normalizeId(socket.data?.authUserId);
     if (!callerUserId) {
       emitDirectCallError("Login is required for direct calls.", "auth-required");
       return;
     }
 
-    const normalizedTargetUserId = normalizeId(targetUserId);
-    if (!normalizedTargetUserId) {
+    const normalizedTargetUserIds = normalizeTargetUserIds(targetUserIds, targetUserId);
+    if (normalizedTargetUserIds.length === 0) {
       emitDirectCallError("Select a valid user to call.", "target-required");
       return;
     }
 
-    if (callerUserId === normalizedTargetUserId) {
+    if (normalizedTargetUserIds.includes(callerUserId)) {
       emitDirectCallError("You cannot call yourself.", "self-call-not-allowed");
       return;
     }
 
-    const normalizedMode = normalizeMode(mode);
-    if (!normalizedMode) {
-      emitDirectCallError("Select call mode: audio or video.", "mode-invalid");
+    if (normalizedTargetUserIds.length > MAX_DIRECT_CALL_TARGETS) {
+      emitDirectCallError(
+        `You can call up to ${MAX_DIRECT_CALL_TARGETS} users at once.`,
+        "too-many-targets"
+      );
       return;
     }
 
-    const onlineTargetSocketIds = ensureOnlineSocketIds(
-      io,
-      presenceStore.getSocketIdsForUser(normalizedTargetUserId)
-    );
-
-    if (onlineTargetSocketIds.length === 0) {
-      emitDirectCallError("User is offline right now.", "target-offline");
+    const normalizedMode = normalizeMode(mode);
+    if (!normalizedMode) {
+      emitDirectCallError("Select call mode: audio or video.", "mode-invalid");
       return;
     }
 
-    const requestId = UUIDv4();
-    const roomId = UUIDv4();
-    const callerProfile = await authRuntime.getUserById(callerUserId);
-    const caller = buildCallerInfo(callerUserId, socket.data?.authEmail, callerProfile);
-
     const request = {
-      requestId,
+      requestId: UUIDv4(),
       callerUserId,
       callerSocketId: socket.id,
-      targetUserId: normalizedTargetUserId,
+      targetUserIds: normalizedTargetUserIds,
+      invites: {},
       mode: normalizedMode,
-      roomId,
+      roomId: UUIDv4(),
+      requestedAt: Date.now(),
       timeoutId: null,
     };
 
+    // Invitees that cannot be rung still get a missed call in their history. Invisible users
+    // are treated as offline so a call does not give them away.
+    const targetSocketsByUser = {};
+    const resolveUnreachableOutcome = (userId) => {
+      const { status, dndAllowUserIds } = presenceStore.getStatus(userId);
+      const socketIds = ensureOnlineSocketIds(io, presenceStore.getSocketIdsForUser(userId));
+      if (socketIds.length === 0 || status === "invisible") return "offline";
+      if (status === "dnd" && !dndAllowUserIds.includes(callerUserId)) return "dnd";
+
+      const targetSockets = classifyTargetSockets(io, socketIds);
+      if (!targetSockets) return "busy";
+      targetSocketsByUser[userId] = targetSockets;
+      return "";
+    };
+
+    normalizedTargetUserIds.forEach((userId) => {
+      const outcome = resolveUnreachableOutcome(userId);
+      request.invites[userId] = outcome || RINGING;
+      if (outcome) {
+        recordOutcome(request, userId, outcome, UNREACHABLE_INVITES[outcome].code);
+      }
+    });
+
+    const listInvitees = (outcome) =>
+      normalizedTargetUserIds.filter((userId) => request.invites[userId] === outcome);
+    const ringingUserIds = getRingingUserIds(request);
+    if (ringingUserIds.length === 0) {
+      const outcomes = new Set(Object.values(request.invites));
+      const unreachable = outcomes.size === 1 ? UNREACHABLE_INVITES[[...outcomes][0]] : null;
+      if (!unreachable) {
+        emitDirectCallError("None of these users can take a call right now.", "target-unavailable");
+      } else {
+        emitDirectCallError(
+          normalizedTargetUserIds.length > 1 ? unreachable.groupMessage : unreachable.message,
+          unreachable.code
+        );
+      }
+      return;
+    }
+
+    const callerProfile = await authRuntime.getUserById(callerUserId);
+    const caller = buildCallerInfo(callerUserId, socket.data?.authEmail, callerProfile);
+
     request.timeoutId = setTimeout(() => {
-      clearPendingDirectCall(requestId, {
+      settleRingingInvites(request, "timeout", {
         notifyCaller: true,
-        callerEventName: "direct-call-ended",
         callerMessage: "No answer from user.",
         reason: "timeout",
-        notifyTargets: true,
+        notifyTarget: true,
         targetMessage: "Call request timed out.",
       });
     }, DIRECT_CALL_TIMEOUT_MS);
 
-    pendingDirectCalls.set(requestId, request);
+    pendingDirectCalls.set(request.requestId, request);
 
     socket.emit("direct-call-ringing", {
-      requestId,
-      roomId,
-      mode: normalizedMode,
-      targetUserId: normalizedTargetUserId,
+      ...buildRequestPayload(request),
+      targetUserId: normalizedTargetUserIds[0],
+      targetUserIds: ringingUserIds,
+      busyUserIds: listInvitees("busy"),
+      dndUserIds: listInvitees("dnd"),
+      offlineUserIds: listInvitees("offline"),
     });
 
-    onlineTargetSocketIds.forEach((targetSocketId) => {
-      io.to(targetSocketId).emit("direct-call-incoming", {
-        requestId,
-        roomId,
-        mode: normalizedMode,
+    ringingUserIds.forEach((userId) => {
+      const { ringSocketIds, waitingSocketIds, activeRoomIds } = targetSocketsByUser[userId];
+      const incomingPayload = {
+        ...buildRequestPayload(request),
         caller,
+        inviteeUserIds: normalizedTargetUserIds,
+      };
+      ringSocketIds.forEach((targetSocketId) => {
+        io.to(targetSocketId).emit("direct-call-incoming", incomingPayload);
+      });
+      waitingSocketIds.forEach((targetSocketId) => {
+        io.to(targetSocketId).emit("direct-call-waiting", {
+          ...incomingPayload,
+          activeRoomId: activeRoomIds[targetSocketId],
+        });
       });
     });
   };
 
-  const respondDirectCall = ({ requestId, accepted } = {}) => {
+  // Accepting from inside a room needs the current call put on hold or left: the socket can only
+  // take part in one room at a time. `currentCall` defaults to leaving it.
+  const respondDirectCall = ({ requestId, accepted, currentCall } = {}) => {
     const normalizedRequestId = normalizeId(requestId);
     if (!normalizedRequestId) return;
 
@@ -172,106 +333,84 @@ const createDirectCallHandler = ({ io, socket, presenceStore, authRuntime }) =>
     if (!request) return;
 
     const responderUserId = normalizeId(socket.data?.authUserId);
-    if (!responderUserId || responderUserId !== request.targetUserId) {
+    if (!responderUserId || request.invites[responderUserId] !== RINGING) {
       return;
     }
 
-    const callerSocket = io.sockets.sockets.get(request.callerSocketId);
-    const onlineTargetSocketIds = ensureOnlineSocketIds(
-      io,
-      presenceStore.getSocketIdsForUser(request.targetUserId)
-    );
-
-    pendingDirectCalls.delete(normalizedRequestId);
-    if (request.timeoutId) {
-      clearTimeout(request.timeoutId);
-    }
-
-    if (!accepted) {
-      if (callerSocket) {
-        callerSocket.emit("direct-call-rejected", {
-          requestId: normalizedRequestId,
-          roomId: request.roomId,
-          mode: request.mode,
-          targetUserId: request.targetUserId,
-          reason: "rejected",
-        });
+    const activeRoomId = getJoinedRoomId(socket);
+    if (accepted && activeRoomId && activeRoomId !== request.roomId) {
+      const currentCallAction = String(currentCall || "leave").trim().toLowerCase();
+      if (!CURRENT_CALL_ACTIONS.has(currentCallAction)) {
+        emitDirectCallError("Choose to hold or leave your current call.", "current-call-invalid");
+        return;
+      }
+      if (currentCallAction === "hold") {
+        roomSession.holdCurrentRoomForCall();
+      } else {
+        roomSession.leaveCurrentRoom();
       }
-
-      onlineTargetSocketIds.forEach((targetSocketId) => {
-        if (targetSocketId === socket.id) return;
-        io.to(targetSocketId).emit("direct-call-cancelled", {
-          requestId: normalizedRequestId,
-          roomId: request.roomId,
-          mode: request.mode,
-          callerUserId: request.callerUserId,
-          reason: "rejected-on-other-device",
-        });
-      });
-      return;
-    }
-
-    if (callerSocket) {
-      callerSocket.emit("direct-call-accepted", {
-        requestId: normalizedRequestId,
-        roomId: request.roomId,
-        mode: request.mode,
-        targetUserId: request.targetUserId,
-      });
     }
 
-    onlineTargetSocketIds.forEach((targetSocketId) => {
-      if (targetSocketId === socket.id) return;
-      io.to(targetSocketId).emit("direct-call-cancelled", {
-        requestId: normalizedRequestId,
-        roomId: request.roomId,
-        mode: request.mode,
-        callerUserId: request.callerUserId,
-        reason: "answered-on-other-device",
-      });
+    settleInvite(request, responderUserId, accepted ? "accepted" : "rejected", {
+      notifyCaller: true,
+      notifyTarget: true,
+      exceptSocketId: socket.id,
+      targetReason: accepted ? "answered-on-other-device" : "rejected-on-other-device",
     });
   };
 
-  const cancelDirectCall = ({ requestId } = {}) => {
+  // The caller can withdraw every invite that is still ringing, or only the listed ones. Invitees
+  // that already accepted stay in the call.
+  const cancelDirectCall = ({ requestId, targetUserIds } = {}) => {
     const normalizedRequestId = normalizeId(requestId);
     if (!normalizedRequestId) return;
     const request = pendingDirectCalls.get(normalizedRequestId);
     if (!request) return;
     if (request.callerSocketId !== socket.id) return;
 
-    clearPendingDirectCall(normalizedRequestId, {
-      notifyTargets: true,
-      reason: "cancelled-by-caller",
-      targetMessage: "Caller cancelled the request.",
+    const cancelledUserIds = Array.isArray(targetUserIds)
+      ? normalizeTargetUserIds(targetUserIds)
+      : getRingingUserIds(request);
+    cancelledUserIds.forEach((targetUserId) => {
+      settleInvite(request, targetUserId, "cancelled", {
+        notifyTarget: true,
+        reason: "cancelled-by-caller",
+        targetMessage: "Caller cancelled the request.",
+      });
     });
   };
 
+  // Turns call waiting off (or back on) for this device while it is in a room.
+  const setCallWaiting = ({ enabled } = {}) => {
+    socket.data.callWaitingDisabled = enabled === false;
+    socket.emit("direct-call-waiting-updated", { enabled: !socket.data.callWaitingDisabled });
+  };
+
   const onDisconnect = () => {
     const disconnectedSocketUserId = normalizeId(socket.data?.authUserId);
     const activeRequests = Array.from(pendingDirectCalls.values());
 
     activeRequests.forEach((request) => {
       if (request.callerSocketId === socket.id) {
-        clearPendingDirectCall(request.requestId, {
-          notifyTargets: true,
+        settleRingingInvites(request, "cancelled", {
+          notifyTarget: true,
           reason: "caller-disconnected",
           targetMessage: "Caller disconnected.",
         });
         return;
       }
 
-      if (!disconnectedSocketUserId || request.targetUserId !== disconnectedSocketUserId) {
+      if (!disconnectedSocketUserId || request.invites[disconnectedSocketUserId] !== RINGING) {
         return;
       }
 
       const onlineTargetSocketIds = ensureOnlineSocketIds(
         io,
-        presenceStore.getSocketIdsForUser(request.targetUserId)
+        presenceStore.getSocketIdsForUser(disconnectedSocketUserId)
       ).filter((socketId) => socketId !== socket.id);
       if (onlineTargetSocketIds.length === 0) {
-        clearPendingDirectCall(request.requestId, {
+        settleInvite(request, disconnectedSocketUserId, "offline", {
           notifyCaller: true,
-          callerEventName: "direct-call-ended",
           callerMessage: "User went offline.",
           reason: "target-offline",
         });
@@ -282,6 +421,7 @@ const createDirectCallHandler = ({ io, socket, presenceStore, authRuntime }) =>
   socket.on("direct-call-request", requestDirectCall);
   socket.on("direct-call-response", respondDirectCall);
   socket.on("direct-call-cancel", cancelDirectCall);
+  socket.on("direct-call-waiting-set", setCallWaiting);
   socket.on("disconnect", onDisconnect);
 };
 
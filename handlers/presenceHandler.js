@@ -1,37 +1,226 @@
-const buildPresencePayload = (presenceStore) => ({
-  onlineUserIds: presenceStore.getOnlineUserIds(),
-  timestamp: Date.now(),
-});
+import { recordUserLastSeen } from "../modules/auth/services/authService.js";
+import {
+  getMissedCallsSummary,
+  listCallContactIds,
+} from "../modules/calls/services/callRecordService.js";
+import {
+  MAX_WATCHED_USERS_PER_SOCKET,
+  PRESENCE_STATUSES,
+} from "../realtime/authPresenceStore.js";
+
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_DND_ALLOWLIST_SIZE = 100;
+
+const normalizeId = (value) => String(value || "").trim();
+
+// Presence of the given users as others may see it. Invisible users are left out of
+// `onlineUserIds`, so they look the same as users who are offline.
+export const buildPresencePayload = (presenceStore, userIds) => {
+  const onlineUserIds = userIds.filter((userId) => presenceStore.isUserVisible(userId));
+  return {
+    onlineUserIds,
+    statuses: Object.fromEntries(
+      onlineUserIds.map((userId) => {
+        const { status, text, textExpiresAt } = presenceStore.getPublicPresence(userId);
+        return [userId, { status, text, textExpiresAt }];
+      })
+    ),
+    timestamp: Date.now(),
+  };
+};
+
+// Presence changes are sent as one-user deltas, and only to sockets following that user (their
+// contacts and explicit subscribers), never to everyone connected.
+export const publishPresence = (io, presenceStore, userId) => {
+  const watcherSocketIds = presenceStore.getWatcherSocketIds(userId);
+  if (watcherSocketIds.length === 0) return;
+  io.to(watcherSocketIds).emit("presence-updated", {
+    userId,
+    ...presenceStore.getPublicPresence(userId),
+    timestamp: Date.now(),
+  });
+};
+
+// The user's own status, including the DND allowlist, goes only to their own devices.
+export const emitOwnPresenceStatus = (io, presenceStore, userId, socketIds) => {
+  const status = { ...presenceStore.getStatus(userId), timestamp: Date.now() };
+  socketIds.forEach((socketId) => {
+    io.to(socketId).emit("presence-status-updated", status);
+  });
+};
 
 export const createPresenceHandler = ({ io, socket, presenceStore }) => {
+  const emitPresenceError = (message, code = "presence-error") => {
+    socket.emit("presence-error", {
+      message: String(message || "Presence update failed."),
+      code: String(code || "presence-error"),
+    });
+  };
+
   const emitPresenceSnapshot = () => {
+    socket.emit(
+      "presence-snapshot",
+      buildPresencePayload(presenceStore, presenceStore.getWatchedUserIds(socket.id))
+    );
+  };
+
+  const readUserIdList = (userIds) => {
+    if (!Array.isArray(userIds) || userIds.length > MAX_WATCHED_USERS_PER_SOCKET) {
+      emitPresenceError(
+        `Subscribe to a list of at most ${MAX_WATCHED_USERS_PER_SOCKET} user IDs.`,
+        "subscription-invalid"
+      );
+      return null;
+    }
+    return userIds.map(normalizeId).filter(Boolean);
+  };
+
+  // Follows more users on top of the socket's contacts and answers with a snapshot of everyone
+  // it follows. Anonymous sockets get no presence at all.
+  const subscribePresence = ({ userIds } = {}) => {
     const authUserId = String(socket.data?.authUserId || "").trim();
     if (!authUserId) return;
-    socket.emit("presence-snapshot", buildPresencePayload(presenceStore));
+
+    if (userIds !== undefined) {
+      const normalizedUserIds = readUserIdList(userIds);
+      if (!normalizedUserIds) return;
+      presenceStore.watchUsers(socket.id, normalizedUserIds);
+    }
+    emitPresenceSnapshot();
   };
 
-  const broadcastPresence = () => {
-    io.emit("presence-updated", buildPresencePayload(presenceStore));
+  const unsubscribePresence = ({ userIds } = {}) => {
+    const authUserId = String(socket.data?.authUserId || "").trim();
+    if (!authUserId) return;
+
+    const normalizedUserIds = readUserIdList(userIds);
+    if (!normalizedUserIds) return;
+    presenceStore.unwatchUsers(socket.id, normalizedUserIds);
   };
 
-  const subscribePresence = () => {
+  // Contacts are the people the user has had direct calls with; they are followed automatically.
+  const followContacts = async (authUserId) => {
+    const contactIds = await listCallContactIds(authUserId);
+    if (!socket.connected) return;
+    presenceStore.watchUsers(socket.id, contactIds);
     emitPresenceSnapshot();
   };
 
+  // `textExpiresInMs` clears the custom text after that long; `dndAllowUserIds` lists who may
+  // still call through Do Not Disturb and is kept as-is when omitted.
+  const setPresenceStatus = ({ status, text, textExpiresInMs, dndAllowUserIds } = {}) => {
+    const authUserId = String(socket.data?.authUserId || "").trim();
+    if (!authUserId) {
+      emitPresenceError("Login is required to set a status.", "auth-required");
+      return;
+    }
+
+    const normalizedStatus = String(status || "").trim().toLowerCase();
+    if (!PRESENCE_STATUSES.includes(normalizedStatus)) {
+      emitPresenceError(`Select a status: ${PRESENCE_STATUSES.join(", ")}.`, "status-invalid");
+      return;
+    }
+
+    const normalizedText = typeof text === "string" ? text.trim() : "";
+    if (normalizedText.length > MAX_STATUS_TEXT_LENGTH) {
+      emitPresenceError(
+        `Status text can be at most ${MAX_STATUS_TEXT_LENGTH} characters.`,
+        "status-text-too-long"
+      );
+      return;
+    }
+
+    let textExpiresAt = null;
+    if (textExpiresInMs !== undefined && textExpiresInMs !== null) {
+      const expiresInMs = Number(textExpiresInMs);
+      if (!Number.isInteger(expiresInMs) || expiresInMs <= 0) {
+        emitPresenceError(
+          "Status text expiry must be a positive number of ms.",
+          "status-expiry-invalid"
+        );
+        return;
+      }
+      textExpiresAt = Date.now() + expiresInMs;
+    }
+
+    let allowUserIds = presenceStore.getStatus(authUserId).dndAllowUserIds;
+    if (dndAllowUserIds !== undefined) {
+      if (!Array.isArray(dndAllowUserIds) || dndAllowUserIds.length > MAX_DND_ALLOWLIST_SIZE) {
+        emitPresenceError(
+          `The Do Not Disturb allowlist can hold up to ${MAX_DND_ALLOWLIST_SIZE} users.`,
+          "dnd-allowlist-invalid"
+        );
+        return;
+      }
+      allowUserIds = [...new Set(dndAllowUserIds.map(normalizeId))].filter(
+        (userId) => userId && userId !== authUserId
+      );
+    }
+
+    presenceStore.setStatus(authUserId, {
+      status: normalizedStatus,
+      text: normalizedText,
+      textExpiresAt,
+      dndAllowUserIds: allowUserIds,
+    });
+    emitOwnPresenceStatus(
+      io,
+      presenceStore,
+      authUserId,
+      presenceStore.getSocketIdsForUser(authUserId)
+    );
+    publishPresence(io, presenceStore, authUserId);
+  };
+
+  // Clients send a heartbeat every so often, flagged `idle` while nobody is using the device.
+  // Activity on any device brings an away user back at once; going away is left to the idle
+  // monitor, which sees all of a user's devices.
+  const reportActivity = ({ idle } = {}) => {
+    const changedUserId = presenceStore.recordActivity(socket.id, { idle: idle === true });
+    if (!changedUserId) return;
+    emitOwnPresenceStatus(
+      io,
+      presenceStore,
+      changedUserId,
+      presenceStore.getSocketIdsForUser(changedUserId)
+    );
+    publishPresence(io, presenceStore, changedUserId);
+  };
+
+  // Calls missed while offline (or on another device) and not yet marked as seen.
+  const emitMissedCallsSummary = async (authUserId) => {
+    const summary = await getMissedCallsSummary(authUserId);
+    if (!summary || !socket.connected) return;
+    socket.emit("missed-calls-summary", { ...summary, timestamp: Date.now() });
+  };
+
   const handleAuthenticatedConnect = () => {
     const authUserId = String(socket.data?.authUserId || "").trim();
     if (!authUserId) return;
-    emitPresenceSnapshot();
-    broadcastPresence();
+    emitOwnPresenceStatus(io, presenceStore, authUserId, [socket.id]);
+    publishPresence(io, presenceStore, authUserId);
+    void followContacts(authUserId);
+    void emitMissedCallsSummary(authUserId);
   };
 
+  // Last seen is only recorded for users others could see online, so invisible sessions do not
+  // show up in the directory afterwards.
   const handleDisconnect = () => {
     const removedUserId = presenceStore.unregisterSocket(socket.id);
     if (!removedUserId) return;
-    broadcastPresence();
+    if (
+      !presenceStore.isUserOnline(removedUserId) &&
+      presenceStore.getStatus(removedUserId).status !== "invisible"
+    ) {
+      void recordUserLastSeen(removedUserId);
+    }
+    publishPresence(io, presenceStore, removedUserId);
   };
 
   socket.on("presence-subscribe", subscribePresence);
+  socket.on("presence-unsubscribe", unsubscribePresence);
+  socket.on("presence-set-status", setPresenceStatus);
+  socket.on("presence-activity", reportActivity);
 
   return {
     handleAuthenticatedConnect,
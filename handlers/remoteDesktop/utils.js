@@ -14,6 +14,8 @@ export const resolveParticipantLabel = (targetSocket, fallbackId = "") => {
   if (displayName) return displayName;
   const email = sanitizeString(targetSocket?.data?.authEmail, 128);
   if (email) return email;
+  const guestDisplayName = sanitizeString(targetSocket?.data?.guestDisplayName, 128);
+  if (targetSocket?.data?.guest && guestDisplayName) return `${guestDisplayName} (guest)`;
   const peerId = sanitizeString(targetSocket?.data?.peerId, 64);
   if (peerId) return peerId;
   return sanitizeString(fallbackId, 64) || "participant";
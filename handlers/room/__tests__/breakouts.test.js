@@ -0,0 +1,174 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("breakout rooms", () => {
+  let server;
+  let parentRoomId;
+  let owner;
+  let alice;
+  let bob;
+
+  const join = async (socket, roomId, peerId) => {
+    await socket.trigger("joined-room", { roomId, peerId });
+    return socket;
+  };
+
+  const startManualBreakouts = async (extra = {}) => {
+    await owner.trigger("breakout-start", {
+      count: 2,
+      assignment: "manual",
+      assignments: { "peer-alice": 0, "peer-bob": 1 },
+      names: ["Red"],
+      ...extra,
+    });
+    return rooms[parentRoomId].breakouts.roomIds;
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    server = createFakeRoomServer({ roomHandler });
+    parentRoomId = randomUUID();
+    owner = await join(server.connect(), parentRoomId, "peer-owner");
+    alice = await join(server.connect(), parentRoomId, "peer-alice");
+    bob = await join(server.connect(), parentRoomId, "peer-bob");
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it("assigns peers to named breakout rooms and announces the session", async () => {
+    const [redRoomId, secondRoomId] = await startManualBreakouts();
+
+    expect(alice.events("breakout-assigned")).toEqual([
+      { parentRoomId, roomId: redRoomId, index: 0, name: "Red", endsAt: null },
+    ]);
+    expect(bob.events("breakout-assigned")).toEqual([
+      expect.objectContaining({ roomId: secondRoomId, name: "Breakout 2" }),
+    ]);
+    expect(owner.events("breakout-started")[0].breakoutRooms).toEqual([
+      { roomId: redRoomId, index: 0, name: "Red", assignedPeerIds: ["peer-alice"] },
+      { roomId: secondRoomId, index: 1, name: "Breakout 2", assignedPeerIds: ["peer-bob"] },
+    ]);
+  });
+
+  it("only admits assigned peers to a breakout room", async () => {
+    const [redRoomId] = await startManualBreakouts();
+
+    await join(alice, redRoomId, "peer-alice");
+    await join(bob, redRoomId, "peer-bob");
+
+    expect(rooms[redRoomId].participants).toEqual(["peer-alice"]);
+    expect(rooms[parentRoomId].participants).toEqual(["peer-owner", "peer-bob"]);
+    expect(bob.events("room-error")).toEqual([
+      expect.objectContaining({ code: "breakout-not-assigned" }),
+    ]);
+  });
+
+  it("refuses breakouts from non-owners, nested or with a bad count", async () => {
+    await alice.trigger("breakout-start", { count: 1 });
+    await owner.trigger("breakout-start", { count: 0 });
+    const [redRoomId] = await startManualBreakouts();
+    await owner.trigger("breakout-start", { count: 1 });
+    await join(owner, redRoomId, "peer-owner");
+    await owner.trigger("breakout-start", { count: 1 });
+
+    expect(alice.events("room-error").map(({ code }) => code)).toEqual(["not-room-owner"]);
+    expect(owner.events("room-error").map(({ code }) => code)).toEqual([
+      "breakout-count-invalid",
+      "breakout-active",
+      "breakout-nested",
+    ]);
+  });
+
+  it("broadcasts owner messages to the main room and every breakout room", async () => {
+    const [redRoomId, secondRoomId] = await startManualBreakouts();
+    await join(alice, redRoomId, "peer-alice");
+    await join(bob, secondRoomId, "peer-bob");
+
+    await owner.trigger("breakout-broadcast", { text: "Five minutes left" });
+
+    [owner, alice, bob].forEach((socket) => {
+      expect(socket.events("breakout-broadcast")).toEqual([
+        expect.objectContaining({
+          parentRoomId,
+          text: "Five minutes left",
+          fromPeerId: "peer-owner",
+        }),
+      ]);
+    });
+  });
+
+  it("recalls everyone when the owner ends the session", async () => {
+    const [redRoomId] = await startManualBreakouts();
+    await join(alice, redRoomId, "peer-alice");
+    await owner.trigger("lock-room");
+
+    await owner.trigger("breakout-recall");
+    expect(alice.events("breakout-recalled")).toEqual([
+      { parentRoomId, roomId: redRoomId, reason: "recalled" },
+    ]);
+    expect(owner.events("breakout-ended")).toEqual([{ parentRoomId, reason: "recalled" }]);
+
+    // Coming back skips the main room's lock.
+    await join(alice, parentRoomId, "peer-alice");
+    expect(rooms[parentRoomId].participants).toContain("peer-alice");
+    expect(alice.data.breakoutParentRoomId).toBeUndefined();
+  });
+
+  it("ends the session when its timer runs out", async () => {
+    const [redRoomId] = await startManualBreakouts({ durationMs: 60_000 });
+    await join(alice, redRoomId, "peer-alice");
+
+    jest.advanceTimersByTime(60_000);
+
+    expect(alice.events("breakout-recalled")).toEqual([
+      { parentRoomId, roomId: redRoomId, reason: "timer-expired" },
+    ]);
+    expect(rooms[parentRoomId].breakouts).toBeNull();
+  });
+
+  it("keeps the main room for recalled peers while nobody is in it", async () => {
+    const [redRoomId, secondRoomId] = await startManualBreakouts();
+    await join(alice, redRoomId, "peer-alice");
+    await join(bob, secondRoomId, "peer-bob");
+    await join(owner, redRoomId, "peer-owner");
+    expect(rooms[parentRoomId].participants).toEqual([]);
+
+    await owner.trigger("breakout-recall");
+
+    const parentRoom = rooms[parentRoomId];
+    expect(parentRoom).toBeDefined();
+    expect(parentRoom.timeline.events.map(({ type }) => type)).not.toContain("closed");
+
+    await join(alice, parentRoomId, "peer-alice");
+    await join(owner, parentRoomId, "peer-owner");
+    expect(rooms[parentRoomId]).toBe(parentRoom);
+    expect(parentRoom.peerRoles).toEqual({ "peer-alice": "participant", "peer-owner": "owner" });
+  });
+
+  it("lets the main room go once nobody came back in time", async () => {
+    const [redRoomId] = await startManualBreakouts({
+      count: 1,
+      assignments: { "peer-alice": 0 },
+    });
+    await join(alice, redRoomId, "peer-alice");
+    await owner.trigger("leave-room");
+    await bob.trigger("leave-room");
+
+    // The last breakout room emptying out ends the session on its own.
+    await alice.trigger("leave-room");
+    expect(rooms[parentRoomId]?.breakouts).toBeNull();
+
+    jest.advanceTimersByTime(RoomConfig.ROOM_BREAKOUT_RECALL_GRACE_MS);
+    expect(rooms[parentRoomId]).toBeUndefined();
+  });
+});
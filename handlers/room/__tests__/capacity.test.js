@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room capacity", () => {
+  let server;
+
+  const createRoom = async (options) => {
+    const owner = server.connect();
+    await owner.trigger("create-room", options);
+    const [{ roomId, maxParticipants }] = owner.events("room-created");
+    await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+    return { owner, roomId, maxParticipants };
+  };
+
+  const join = async (roomId, peerId) => {
+    const socket = server.connect();
+    await socket.trigger("joined-room", { roomId, peerId });
+    return socket;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    server = createFakeRoomServer({ roomHandler });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it("turns peers away once the room is full", async () => {
+    const { roomId } = await createRoom({ maxParticipants: 2 });
+    await join(roomId, "peer-a");
+
+    const latecomer = await join(roomId, "peer-late");
+
+    expect(latecomer.events("room-full")).toEqual([
+      { roomId, maxParticipants: 2, message: "This room is full." },
+    ]);
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-a"]);
+  });
+
+  it("never raises a room above the server-wide capacity", async () => {
+    const { maxParticipants } = await createRoom({ maxParticipants: 500 });
+
+    expect(maxParticipants).toBe(RoomConfig.ROOM_MAX_PARTICIPANTS);
+  });
+
+  it("keeps the seat of a peer held for reconnect", async () => {
+    const { roomId } = await createRoom({ maxParticipants: 2 });
+    const flaky = await join(roomId, "peer-flaky");
+    await server.disconnect(flaky, "transport close");
+
+    const latecomer = await join(roomId, "peer-late");
+
+    expect(latecomer.events("room-full")).toHaveLength(1);
+  });
+
+  it("queues peers for a seat and admits them in order as seats free up", async () => {
+    const { owner, roomId } = await createRoom({ maxParticipants: 2, overflowQueue: true });
+    const member = await join(roomId, "peer-member");
+    const first = await join(roomId, "peer-first");
+    const second = await join(roomId, "peer-second");
+
+    expect(second.events("room-queue-position").at(-1)).toEqual({
+      roomId,
+      position: 2,
+      queueLength: 2,
+    });
+    expect(owner.events("room-queue-updated").at(-1).queue.map(({ peerId }) => peerId)).toEqual([
+      "peer-first",
+      "peer-second",
+    ]);
+
+    await member.trigger("leave-room");
+
+    expect(first.events("room-queue-admitted")).toEqual([{ roomId, peerId: "peer-first" }]);
+    expect(first.events("get-users")).toHaveLength(1);
+    expect(second.events("room-queue-position").at(-1)).toEqual({
+      roomId,
+      position: 1,
+      queueLength: 1,
+    });
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-first"]);
+  });
+
+  it("turns the queue away when the owner disables it", async () => {
+    const { owner, roomId } = await createRoom({ maxParticipants: 1, overflowQueue: true });
+    const queued = await join(roomId, "peer-queued");
+
+    await owner.trigger("disable-overflow-queue");
+
+    expect(queued.events("room-full")).toHaveLength(1);
+    expect(queued.data.overflowRoomId).toBeUndefined();
+    expect(rooms[roomId].overflowQueue).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Config is read at import time
+// ---------------------------------------------------------------------------
+process.env.ROOM_CHAT_HISTORY_LIMIT = "3";
+process.env.ROOM_CHAT_MAX_LENGTH = "20";
+
+const { default: roomHandler } = await import("../../roomHandler.js");
+const { rooms } = await import("../state.js");
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room chat", () => {
+  let server;
+  let roomId;
+  let alice;
+  let bob;
+
+  const join = async (peerId) => {
+    const socket = server.connect({ authDisplayName: peerId.replace("peer-", "") });
+    await socket.trigger("joined-room", { roomId, peerId });
+    return socket;
+  };
+
+  const chatTexts = (socket) => socket.events("room-chat-message").map(({ text }) => text);
+
+  beforeEach(async () => {
+    server = createFakeRoomServer({ roomHandler });
+    roomId = randomUUID();
+    alice = await join("peer-alice");
+    bob = await join("peer-bob");
+  });
+
+  it("broadcasts room messages to everyone with the sender's label", async () => {
+    await alice.trigger("room-chat-send", { text: "  Hello all  " });
+
+    [alice, bob].forEach((socket) => {
+      expect(socket.events("room-chat-message")).toEqual([
+        expect.objectContaining({
+          roomId,
+          fromPeerId: "peer-alice",
+          fromLabel: "alice",
+          text: "Hello all",
+          direct: false,
+        }),
+      ]);
+    });
+  });
+
+  it("replays the most recent history to late joiners", async () => {
+    for (const text of ["one", "two", "three", "four"]) {
+      await alice.trigger("room-chat-send", { text });
+    }
+
+    const carol = await join("peer-carol");
+    expect(carol.events("get-users")[0].chatHistory.map(({ text }) => text)).toEqual([
+      "two",
+      "three",
+      "four",
+    ]);
+
+    await carol.trigger("room-chat-history");
+    expect(carol.events("room-chat-history")).toEqual([
+      { roomId, messages: rooms[roomId].chatHistory },
+    ]);
+  });
+
+  it("sends direct messages to both ends only and keeps them out of history", async () => {
+    const carol = await join("peer-carol");
+
+    await alice.trigger("room-chat-send", { text: "psst", toPeerId: "peer-bob" });
+
+    expect(chatTexts(alice)).toEqual(["psst"]);
+    expect(bob.events("room-chat-message")).toEqual([
+      expect.objectContaining({ toPeerId: "peer-bob", direct: true }),
+    ]);
+    expect(chatTexts(carol)).toEqual([]);
+    expect(rooms[roomId].chatHistory).toEqual([]);
+  });
+
+  it("rejects empty, overlong and misaddressed messages", async () => {
+    await alice.trigger("room-chat-send", { text: "   " });
+    await alice.trigger("room-chat-send", { text: "x".repeat(21) });
+    await alice.trigger("room-chat-send", { text: "hi", toPeerId: "peer-nobody" });
+
+    expect(alice.events("room-error").map(({ code }) => code)).toEqual([
+      "chat-message-empty",
+      "chat-message-too-long",
+      "participant-not-found",
+    ]);
+    expect(chatTexts(bob)).toEqual([]);
+  });
+
+  it("ignores chat from sockets that have not joined the room", async () => {
+    const outsider = server.connect();
+    await outsider.trigger("room-chat-send", { text: "let me in" });
+
+    expect(outsider.events("room-error")).toEqual([
+      expect.objectContaining({ code: "room-required" }),
+    ]);
+    expect(chatTexts(alice)).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+// A stand-in for the Socket.IO namespace that runs the real room handler over a fake transport:
+// sockets, adapter rooms and targeted emits. Every socket records what it receives.
+export const createFakeRoomServer = ({ roomHandler }) => {
+  const sockets = new Map();
+  const adapterRooms = new Map();
+  let socketCount = 0;
+
+  const to = (targets, exceptIds = []) => ({
+    emit: (event, payload) => {
+      const socketIds = new Set();
+      [].concat(targets).forEach((target) => {
+        if (sockets.has(target)) socketIds.add(target);
+        (adapterRooms.get(target) || []).forEach((socketId) => socketIds.add(socketId));
+      });
+      socketIds.forEach((socketId) => {
+        if (!exceptIds.includes(socketId)) sockets.get(socketId).received.push([event, payload]);
+      });
+    },
+    except: (socketIds) => to(targets, exceptIds.concat(socketIds)),
+  });
+
+  const nsp = { sockets, adapter: { rooms: adapterRooms }, to };
+
+  // Lets `.finally()` chains (e.g. the one in `leaveCurrentRoom`) run before the next assertion.
+  const settle = async () => {
+    for (let tick = 0; tick < 5; tick += 1) {
+      await Promise.resolve();
+    }
+  };
+
+  const connect = (data = {}) => {
+    socketCount += 1;
+    const listeners = {};
+    const socket = {
+      id: `socket-${socketCount}`,
+      data: { ...data },
+      nsp,
+      connected: true,
+      received: [],
+      on: (event, listener) => {
+        (listeners[event] ||= []).push(listener);
+      },
+      emit: (event, payload) => {
+        socket.received.push([event, payload]);
+      },
+      join: (roomId) => {
+        if (!adapterRooms.has(roomId)) adapterRooms.set(roomId, new Set());
+        adapterRooms.get(roomId).add(socket.id);
+      },
+      leave: (roomId) => {
+        adapterRooms.get(roomId)?.delete(socket.id);
+      },
+      to: (roomId) => to(roomId, [socket.id]),
+      trigger: async (event, payload) => {
+        for (const listener of listeners[event] || []) {
+          await listener(payload);
+        }
+        await settle();
+      },
+      // Events of one type received so far, newest last.
+      events: (event) => socket.received.filter(([name]) => name === event).map(([, p]) => p),
+    };
+
+    sockets.set(socket.id, socket);
+    roomHandler(socket);
+    return socket;
+  };
+
+  // Like Socket.IO, the socket has already left its rooms and the namespace when `disconnect` fires.
+  const disconnect = async (socket, reason = "transport close") => {
+    adapterRooms.forEach((socketIds) => socketIds.delete(socket.id));
+    sockets.delete(socket.id);
+    socket.connected = false;
+    await socket.trigger("disconnect", reason);
+  };
+
+  return { nsp, connect, disconnect };
+};
@@ -0,0 +1,60 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// Sockets as `server/socketServer.js` sets them up after resolving a guest token.
+const GUEST_DATA = { guest: true, guestId: "guest-1", guestDisplayName: "Visitor" };
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("guest participants", () => {
+  let server;
+  let roomId;
+  let host;
+
+  beforeEach(async () => {
+    server = createFakeRoomServer({ roomHandler });
+    roomId = randomUUID();
+    host = server.connect({ authUserId: "user-host", authEmail: "host@example.com" });
+    await host.trigger("joined-room", { roomId, peerId: "peer-host" });
+  });
+
+  it("labels guests as such and shows no email", async () => {
+    const guest = server.connect({ ...GUEST_DATA, authEmail: "spoofed@example.com" });
+    await guest.trigger("joined-room", { roomId, peerId: "peer-guest" });
+    await guest.trigger("ready");
+
+    expect(host.events("user-joined")).toEqual([
+      {
+        peerId: "peer-guest",
+        participantProfile: expect.objectContaining({
+          displayName: "Visitor",
+          email: "",
+          label: "Visitor (guest)",
+          guest: true,
+          role: "participant",
+        }),
+      },
+    ]);
+    expect(guest.events("get-users")[0].participantProfiles["peer-host"]).toMatchObject({
+      label: "host@example.com",
+      guest: false,
+    });
+  });
+
+  it("records guests as guests on the room timeline", async () => {
+    const guest = server.connect(GUEST_DATA);
+    await guest.trigger("joined-room", { roomId, peerId: "peer-guest" });
+
+    expect(rooms[roomId].timeline.events.at(-1)).toMatchObject({
+      type: "joined",
+      peerId: "peer-guest",
+      label: "Visitor (guest)",
+      guest: true,
+    });
+    expect(rooms[roomId].timeline.events.at(-1).authUserId).toBeUndefined();
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+
+// ---------------------------------------------------------------------------
+// Config is read at import time, and invite lookups hit MongoDB, so the invite service is
+// mocked before importing the handler
+// ---------------------------------------------------------------------------
+process.env.AUTH_BCRYPT_ROUNDS = "4";
+
+jest.unstable_mockModule("../../../modules/rooms/services/roomInviteService.js", () => ({
+  claimRoomInvite: jest.fn(),
+  resolveRoomInvite: jest.fn(),
+}));
+
+// Dynamic imports after mocking
+const { claimRoomInvite, resolveRoomInvite } = await import(
+  "../../../modules/rooms/services/roomInviteService.js"
+);
+const { default: roomHandler } = await import("../../roomHandler.js");
+const { rooms } = await import("../state.js");
+const { createFakeRoomServer } = await import("./fakeRoomServer.js");
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room invites", () => {
+  let server;
+  let roomId;
+  let owner;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    resolveRoomInvite.mockResolvedValue({ invite: { id: "invite-1", role: "viewer" } });
+    claimRoomInvite.mockResolvedValue(true);
+
+    server = createFakeRoomServer({ roomHandler });
+    owner = server.connect();
+    await owner.trigger("create-room", { passcode: "open sesame" });
+    [{ roomId }] = owner.events("room-created");
+    await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+  });
+
+  it("lets a viewer invite stand in for the passcode", async () => {
+    const viewer = server.connect();
+    await viewer.trigger("joined-room", { roomId, peerId: "peer-viewer", inviteToken: "token" });
+
+    expect(claimRoomInvite).toHaveBeenCalledWith("invite-1");
+    expect(rooms[roomId].peerRoles["peer-viewer"]).toBe("viewer");
+  });
+
+  it("keeps a viewer a viewer when it re-joins under another peerId", async () => {
+    const viewer = server.connect();
+    await viewer.trigger("joined-room", { roomId, peerId: "peer-viewer", inviteToken: "token" });
+
+    await viewer.trigger("joined-room", { roomId, peerId: "peer-renamed" });
+
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-renamed"]);
+    expect(rooms[roomId].peerRoles["peer-renamed"]).toBe("viewer");
+    expect(claimRoomInvite).toHaveBeenCalledTimes(1);
+  });
+});
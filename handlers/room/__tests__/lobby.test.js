@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const createLobbyRoom = async (server) => {
+  const owner = server.connect();
+  await owner.trigger("create-room", { lobby: true });
+  const [{ roomId }] = owner.events("room-created");
+  await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+  return { owner, roomId };
+};
+
+const knock = async (server, roomId, peerId) => {
+  const knocker = server.connect();
+  await knocker.trigger("joined-room", { roomId, peerId });
+  return knocker;
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room lobby", () => {
+  let server;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    server = createFakeRoomServer({ roomHandler });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it("parks newcomers in the lobby and tells the owner", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const knocker = await knock(server, roomId, "peer-knocker");
+
+    expect(knocker.events("lobby-waiting")).toEqual([
+      { roomId, peerId: "peer-knocker", timeoutMs: RoomConfig.ROOM_LOBBY_TIMEOUT_MS },
+    ]);
+    expect(knocker.events("get-users")).toHaveLength(0);
+    expect(owner.events("lobby-knock")).toEqual([
+      expect.objectContaining({ roomId, peerId: "peer-knocker" }),
+    ]);
+    expect(rooms[roomId].participants).toEqual(["peer-owner"]);
+  });
+
+  it("lets the owner admit or deny a knock", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const admitted = await knock(server, roomId, "peer-admitted");
+    const denied = await knock(server, roomId, "peer-denied");
+
+    await owner.trigger("lobby-admit", { peerId: "peer-admitted" });
+    await owner.trigger("lobby-deny", { peerId: "peer-denied" });
+
+    expect(admitted.events("get-users")).toHaveLength(1);
+    expect(denied.events("lobby-denied")).toEqual([{ roomId, reason: "denied" }]);
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-admitted"]);
+    expect(owner.events("lobby-knock-resolved")).toEqual([
+      { roomId, peerId: "peer-admitted", admitted: true, reason: "admitted" },
+      { roomId, peerId: "peer-denied", admitted: false, reason: "denied" },
+    ]);
+  });
+
+  it("turns a knock away once the lobby timeout passes", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const knocker = await knock(server, roomId, "peer-knocker");
+
+    jest.advanceTimersByTime(RoomConfig.ROOM_LOBBY_TIMEOUT_MS);
+
+    expect(knocker.events("lobby-denied")).toEqual([{ roomId, reason: "timeout" }]);
+    expect(rooms[roomId].lobby).toEqual({});
+    await owner.trigger("lobby-admit", { peerId: "peer-knocker" });
+    expect(owner.events("room-error")).toEqual([
+      expect.objectContaining({ code: "lobby-entry-not-found" }),
+    ]);
+  });
+
+  it("only lets the owner decide on knocks", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const member = await knock(server, roomId, "peer-member");
+    await owner.trigger("lobby-admit", { peerId: "peer-member" });
+    await knock(server, roomId, "peer-knocker");
+
+    await member.trigger("lobby-admit", { peerId: "peer-knocker" });
+
+    expect(member.events("room-error")).toEqual([
+      expect.objectContaining({ code: "not-room-owner" }),
+    ]);
+    expect(rooms[roomId].lobby).toHaveProperty("peer-knocker");
+  });
+
+  it("lets everyone waiting in when the lobby is turned off", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const first = await knock(server, roomId, "peer-first");
+    const second = await knock(server, roomId, "peer-second");
+
+    await owner.trigger("disable-lobby");
+
+    expect(first.events("get-users")).toHaveLength(1);
+    expect(second.events("get-users")).toHaveLength(1);
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-first", "peer-second"]);
+  });
+
+  it("drops a knock when the knocker disconnects", async () => {
+    const { owner, roomId } = await createLobbyRoom(server);
+    const knocker = await knock(server, roomId, "peer-knocker");
+
+    await server.disconnect(knocker);
+
+    expect(rooms[roomId].lobby).toEqual({});
+    expect(owner.events("lobby-knock-resolved")).toEqual([
+      { roomId, peerId: "peer-knocker", admitted: false, reason: "left" },
+    ]);
+  });
+});
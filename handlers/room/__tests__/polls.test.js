@@ -0,0 +1,62 @@
+import { describe, it, expect, jest } from "@jest/globals";
+import { createRoomPollHandlers } from "../polls.js";
+
+const ROOM_ID = "room-1";
+
+// A socket that re-emits `joined-room` keeps its socket ID but gets whatever peer ID it asked for.
+const createHarness = ({ authUserId = "" } = {}) => {
+  const room = { polls: {}, peerToSocket: { "peer-host": "socket-host" } };
+  const joined = { peerId: "peer-a" };
+  const socket = {
+    id: "socket-a",
+    data: { authUserId },
+    emit: jest.fn(),
+    nsp: { to: () => ({ emit: jest.fn() }) },
+  };
+  const emitRoomError = jest.fn();
+  const handlers = createRoomPollHandlers({
+    socket,
+    rooms: { [ROOM_ID]: room },
+    resolveJoinedRoom: () => ({ roomId: ROOM_ID, room, peerId: joined.peerId }),
+    emitRoomError,
+    hasModeratorRole: () => true,
+    buildParticipantProfile: (_room, peerId) => ({ label: peerId }),
+  });
+
+  handlers.createPoll({ question: "Ship it?", options: ["Yes", "No"] });
+  const [pollId] = Object.keys(room.polls);
+  return { room, joined, socket, emitRoomError, handlers, poll: room.polls[pollId] };
+};
+
+describe("votePoll", () => {
+  it("refuses a second vote from the same socket under a new peer ID", () => {
+    const { joined, emitRoomError, handlers, poll } = createHarness();
+
+    handlers.votePoll({ pollId: poll.pollId, optionId: "0" });
+    joined.peerId = "peer-a-renamed";
+    handlers.votePoll({ pollId: poll.pollId, optionId: "1" });
+
+    expect(Object.keys(poll.votes)).toEqual(["peer-a"]);
+    expect(emitRoomError).toHaveBeenCalledWith(
+      "You already voted in this poll.",
+      "poll-already-voted"
+    );
+  });
+
+  it("refuses a second vote from the same account on another socket", () => {
+    const { joined, socket, emitRoomError, handlers, poll } = createHarness({
+      authUserId: "user-1",
+    });
+
+    handlers.votePoll({ pollId: poll.pollId, optionId: "0" });
+    socket.id = "socket-b";
+    joined.peerId = "peer-b";
+    handlers.votePoll({ pollId: poll.pollId, optionId: "1" });
+
+    expect(Object.keys(poll.votes)).toEqual(["peer-a"]);
+    expect(emitRoomError).toHaveBeenCalledWith(
+      "You already voted in this poll.",
+      "poll-already-voted"
+    );
+  });
+});
@@ -0,0 +1,112 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("raised hands and reactions", () => {
+  let server;
+  let roomId;
+  let owner;
+  let alice;
+  let bob;
+
+  const join = async (peerId) => {
+    const socket = server.connect();
+    await socket.trigger("joined-room", { roomId, peerId });
+    return socket;
+  };
+
+  const queuedPeerIds = (socket) =>
+    socket.events("room-hand-queue-updated").at(-1).handQueue.map(({ peerId }) => peerId);
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    server = createFakeRoomServer({ roomHandler });
+    roomId = randomUUID();
+    owner = await join("peer-owner");
+    alice = await join("peer-alice");
+    bob = await join("peer-bob");
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it("queues raised hands in order, once per peer", async () => {
+    await bob.trigger("room-hand-raise");
+    jest.advanceTimersByTime(1_000);
+    await alice.trigger("room-hand-raise");
+    await bob.trigger("room-hand-raise");
+
+    expect(owner.events("room-hand-queue-updated")).toHaveLength(2);
+    expect(queuedPeerIds(owner)).toEqual(["peer-bob", "peer-alice"]);
+
+    const late = await join("peer-late");
+    expect(late.events("get-users")[0].handQueue.map(({ peerId }) => peerId)).toEqual([
+      "peer-bob",
+      "peer-alice",
+    ]);
+  });
+
+  it("lets peers lower their own hand and only moderators lower others'", async () => {
+    await alice.trigger("room-hand-raise");
+    await bob.trigger("room-hand-raise");
+
+    await bob.trigger("room-hand-lower", { peerId: "peer-alice" });
+    expect(bob.events("room-error")).toEqual([
+      expect.objectContaining({ code: "not-room-moderator" }),
+    ]);
+
+    await bob.trigger("room-hand-lower");
+    expect(queuedPeerIds(owner)).toEqual(["peer-alice"]);
+
+    await owner.trigger("room-hand-lower", { peerId: "peer-alice" });
+    expect(queuedPeerIds(owner)).toEqual([]);
+  });
+
+  it("only lets moderators clear the queue", async () => {
+    await alice.trigger("room-hand-raise");
+
+    await alice.trigger("room-hand-queue-clear");
+    expect(alice.events("room-error")).toEqual([
+      expect.objectContaining({ code: "not-room-moderator" }),
+    ]);
+    expect(rooms[roomId].handQueue).toHaveLength(1);
+
+    await owner.trigger("room-hand-queue-clear");
+    expect(queuedPeerIds(bob)).toEqual([]);
+  });
+
+  it("drops a departing peer's hand", async () => {
+    await alice.trigger("room-hand-raise");
+
+    await alice.trigger("leave-room");
+
+    expect(queuedPeerIds(bob)).toEqual([]);
+  });
+
+  it("broadcasts reactions and drops ones sent too quickly", async () => {
+    await alice.trigger("room-reaction", { emoji: "👍" });
+    await alice.trigger("room-reaction", { emoji: "🎉" });
+    jest.advanceTimersByTime(RoomConfig.ROOM_REACTION_MIN_INTERVAL_MS);
+    await alice.trigger("room-reaction", { emoji: "🎉" });
+
+    expect(bob.events("room-reaction").map(({ emoji }) => emoji)).toEqual(["👍", "🎉"]);
+    expect(bob.events("room-reaction")[0]).toMatchObject({ roomId, peerId: "peer-alice" });
+  });
+
+  it("rejects reactions that are not an emoji", async () => {
+    await alice.trigger("room-reaction", { emoji: "<script>" });
+
+    expect(alice.events("room-error")).toEqual([
+      expect.objectContaining({ code: "reaction-invalid" }),
+    ]);
+    expect(bob.events("room-reaction")).toHaveLength(0);
+  });
+});
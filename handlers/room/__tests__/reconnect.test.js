@@ -0,0 +1,119 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+const GRACE_MS = RoomConfig.ROOM_RECONNECT_GRACE_MS;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const timelineEventsFor = (roomId, peerId) =>
+  rooms[roomId].timeline.events
+    .filter((event) => event.peerId === peerId)
+    .map(({ type, reason, transport, held }) => ({ type, reason, transport, held }));
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room reconnect grace window", () => {
+  let server;
+  let roomId;
+  let host;
+  let dropped;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    server = createFakeRoomServer({ roomHandler });
+    roomId = randomUUID();
+    host = server.connect({ authUserId: "user-host" });
+    await host.trigger("joined-room", { roomId, peerId: "peer-host" });
+    dropped = server.connect({ authUserId: "user-flaky" });
+    await dropped.trigger("joined-room", { roomId, peerId: "peer-flaky" });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it("holds the seat of a peer whose connection dropped", async () => {
+    await server.disconnect(dropped, "ping timeout");
+
+    expect(host.events("peer-reconnecting")).toEqual([
+      { roomId, peerId: "peer-flaky", graceMs: GRACE_MS },
+    ]);
+    expect(host.events("user-left")).toHaveLength(0);
+    expect(rooms[roomId].participants).toEqual(["peer-host", "peer-flaky"]);
+  });
+
+  it("resumes the peer in place when it comes back in time", async () => {
+    await server.disconnect(dropped, "transport close");
+    jest.advanceTimersByTime(GRACE_MS - 1);
+
+    const rejoined = server.connect({ authUserId: "user-flaky" });
+    await rejoined.trigger("joined-room", { roomId, peerId: "peer-flaky" });
+    await rejoined.trigger("ready");
+    jest.advanceTimersByTime(GRACE_MS);
+
+    expect(rejoined.events("get-users")).toHaveLength(1);
+    expect(host.events("peer-reconnected")).toEqual([
+      expect.objectContaining({ roomId, peerId: "peer-flaky" }),
+    ]);
+    expect(host.events("user-joined")).toHaveLength(0);
+    expect(host.events("user-left")).toHaveLength(0);
+    expect(rooms[roomId].peerToSocket["peer-flaky"]).toBe(rejoined.id);
+    expect(rooms[roomId].reconnecting).toEqual({});
+  });
+
+  it("does not let another account resume a held peer", async () => {
+    await server.disconnect(dropped, "transport close");
+
+    const impostor = server.connect({ authUserId: "user-other" });
+    await impostor.trigger("joined-room", { roomId, peerId: "peer-flaky" });
+
+    expect(host.events("peer-reconnected")).toHaveLength(0);
+    expect(rooms[roomId].reconnecting).not.toHaveProperty("peer-flaky");
+    expect(host.events("user-left")).toEqual([{ peerId: "peer-flaky", reason: "left" }]);
+  });
+
+  it("drops the peer once the grace window runs out", async () => {
+    await server.disconnect(dropped, "transport close");
+
+    jest.advanceTimersByTime(GRACE_MS);
+
+    expect(host.events("user-left")).toEqual([{ peerId: "peer-flaky", reason: "disconnected" }]);
+    expect(rooms[roomId].participants).toEqual(["peer-host"]);
+  });
+
+  it("leaves right away when the client disconnects on purpose", async () => {
+    await server.disconnect(dropped, "client namespace disconnect");
+
+    expect(host.events("peer-reconnecting")).toHaveLength(0);
+    expect(host.events("user-left")).toEqual([{ peerId: "peer-flaky", reason: "disconnected" }]);
+    expect(rooms[roomId].participants).toEqual(["peer-host"]);
+  });
+
+  it("records a held disconnect with its transport reason", async () => {
+    await server.disconnect(dropped, "ping timeout");
+
+    expect(timelineEventsFor(roomId, "peer-flaky").slice(1)).toEqual([
+      { type: "disconnected", reason: "ping timeout", transport: undefined, held: true },
+    ]);
+  });
+
+  it("records a single timeline entry when a disconnect leaves right away", async () => {
+    await server.disconnect(dropped, "client namespace disconnect");
+
+    expect(timelineEventsFor(roomId, "peer-flaky").slice(1)).toEqual([
+      {
+        type: "left",
+        reason: "disconnected",
+        transport: "client namespace disconnect",
+        held: undefined,
+      },
+    ]);
+  });
+});
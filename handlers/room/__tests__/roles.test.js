@@ -0,0 +1,117 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import roomHandler from "../../roomHandler.js";
+import { rooms } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+// An auto-created room owned by its first joiner, with one moderator and one participant.
+const createStaffedRoom = async (server) => {
+  const roomId = randomUUID();
+  const join = async (authUserId, peerId) => {
+    const socket = server.connect({ authUserId });
+    await socket.trigger("joined-room", { roomId, peerId });
+    return socket;
+  };
+
+  const owner = await join("user-owner", "peer-owner");
+  const moderator = await join("user-mod", "peer-mod");
+  const participant = await join("user-part", "peer-part");
+  await owner.trigger("room-set-role", { peerId: "peer-mod", role: "moderator" });
+  return { roomId, join, owner, moderator, participant };
+};
+
+const lastErrorCode = (socket) => socket.events("room-error").at(-1)?.code;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room roles and moderation", () => {
+  let server;
+
+  beforeEach(() => {
+    server = createFakeRoomServer({ roomHandler });
+  });
+
+  it("lets the owner promote a moderator and tells the room", async () => {
+    const { roomId, participant } = await createStaffedRoom(server);
+
+    expect(participant.events("room-roles-updated").at(-1)).toEqual({
+      roomId,
+      roles: { "peer-owner": "owner", "peer-mod": "moderator", "peer-part": "participant" },
+    });
+  });
+
+  it("keeps a moderator's role when the account comes back under a new peer ID", async () => {
+    const { roomId, join, moderator } = await createStaffedRoom(server);
+    await moderator.trigger("leave-room");
+
+    await join("user-mod", "peer-mod-2");
+
+    expect(rooms[roomId].peerRoles["peer-mod-2"]).toBe("moderator");
+  });
+
+  it("lets moderators kick participants", async () => {
+    const { roomId, owner, moderator, participant } = await createStaffedRoom(server);
+
+    await moderator.trigger("room-kick", { peerId: "peer-part", reason: "Spam" });
+
+    expect(participant.events("room-kicked")).toEqual([
+      { roomId, by: "peer-mod", reason: "Spam" },
+    ]);
+    expect(participant.data.roomId).toBeUndefined();
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-mod"]);
+    [owner, moderator].forEach((socket) => {
+      expect(socket.events("user-left")).toEqual([{ peerId: "peer-part", reason: "kicked" }]);
+    });
+  });
+
+  it("does not let moderators act on the owner, or participants on anyone", async () => {
+    const { roomId, moderator, participant } = await createStaffedRoom(server);
+
+    await moderator.trigger("room-kick", { peerId: "peer-owner" });
+    expect(lastErrorCode(moderator)).toBe("insufficient-role");
+
+    await participant.trigger("room-kick", { peerId: "peer-mod" });
+    expect(lastErrorCode(participant)).toBe("not-room-moderator");
+
+    await moderator.trigger("room-set-role", { peerId: "peer-part", role: "moderator" });
+    expect(lastErrorCode(moderator)).toBe("not-room-owner");
+
+    await moderator.trigger("room-kick", { peerId: "peer-mod" });
+    expect(lastErrorCode(moderator)).toBe("self-moderation-not-allowed");
+
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-mod", "peer-part"]);
+  });
+
+  it("forwards mute requests to the target only", async () => {
+    const { roomId, owner, moderator, participant } = await createStaffedRoom(server);
+
+    await moderator.trigger("room-mute-request", { peerId: "peer-part", kind: "screen" });
+    expect(lastErrorCode(moderator)).toBe("mute-kind-invalid");
+
+    await moderator.trigger("room-mute-request", { peerId: "peer-part", kind: "Audio" });
+    expect(participant.events("room-mute-requested")).toEqual([
+      { roomId, kind: "audio", by: "peer-mod" },
+    ]);
+    expect(owner.events("room-mute-requested")).toHaveLength(0);
+  });
+
+  it("hands ownership over and keeps the previous owner as a moderator", async () => {
+    const { roomId, owner, participant } = await createStaffedRoom(server);
+
+    await participant.trigger("room-transfer-ownership", { peerId: "peer-owner" });
+    expect(lastErrorCode(participant)).toBe("not-room-owner");
+
+    await owner.trigger("room-transfer-ownership", { peerId: "peer-part" });
+
+    expect(rooms[roomId]).toMatchObject({
+      ownerUserId: "user-part",
+      peerRoles: { "peer-owner": "moderator", "peer-mod": "moderator", "peer-part": "owner" },
+    });
+    await owner.trigger("lock-room");
+    expect(lastErrorCode(owner)).toBe("not-room-owner");
+  });
+});
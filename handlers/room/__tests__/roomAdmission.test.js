@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Config is read at import time
+// ---------------------------------------------------------------------------
+process.env.AUTH_BCRYPT_ROUNDS = "4";
+
+const { default: roomHandler } = await import("../../roomHandler.js");
+const { rooms } = await import("../state.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const createOwnedRoom = async (server, options = {}) => {
+  const owner = server.connect();
+  await owner.trigger("create-room", options);
+  const [{ roomId }] = owner.events("room-created");
+  await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+  return { owner, roomId };
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room passcodes and locking", () => {
+  let server;
+
+  beforeEach(() => {
+    server = createFakeRoomServer({ roomHandler });
+  });
+
+  it("asks for the passcode and admits peers that know it", async () => {
+    const { owner, roomId } = await createOwnedRoom(server, { passcode: "open sesame" });
+    expect(owner.events("room-created")[0].hasPasscode).toBe(true);
+    expect(rooms[roomId].participants).toEqual(["peer-owner"]);
+
+    const guest = server.connect();
+    await guest.trigger("joined-room", { roomId, peerId: "peer-guest" });
+    await guest.trigger("joined-room", { roomId, peerId: "peer-guest", passcode: "Open sesame" });
+    expect(guest.events("room-passcode-invalid").map(({ reason }) => reason)).toEqual([
+      "required",
+      "invalid",
+    ]);
+    expect(rooms[roomId].participants).toEqual(["peer-owner"]);
+
+    await guest.trigger("joined-room", { roomId, peerId: "peer-guest", passcode: "open sesame" });
+    expect(guest.events("get-users")).toHaveLength(1);
+    expect(rooms[roomId].participants).toEqual(["peer-owner", "peer-guest"]);
+  });
+
+  it("keeps newcomers out of a locked room but not peers already in it", async () => {
+    const { owner, roomId } = await createOwnedRoom(server);
+    const member = server.connect();
+    await member.trigger("joined-room", { roomId, peerId: "peer-member" });
+
+    await owner.trigger("lock-room");
+    expect(member.events("room-lock-changed")).toEqual([{ roomId, locked: true }]);
+
+    const latecomer = server.connect();
+    await latecomer.trigger("joined-room", { roomId, peerId: "peer-late" });
+    expect(latecomer.events("room-locked")).toEqual([expect.objectContaining({ roomId })]);
+
+    // Re-sending `joined-room` (e.g. after a renegotiation) is not a new admission.
+    await member.trigger("joined-room", { roomId, peerId: "peer-member" });
+    expect(member.events("get-users")).toHaveLength(2);
+
+    await owner.trigger("unlock-room");
+    await latecomer.trigger("joined-room", { roomId, peerId: "peer-late" });
+    expect(rooms[roomId].participants).toContain("peer-late");
+  });
+
+  it("only lets the owner lock the room", async () => {
+    const { roomId } = await createOwnedRoom(server);
+    const member = server.connect();
+    await member.trigger("joined-room", { roomId, peerId: "peer-member" });
+
+    await member.trigger("lock-room");
+
+    expect(member.events("room-error")).toEqual([
+      expect.objectContaining({ code: "not-room-owner" }),
+    ]);
+    expect(rooms[roomId].settings.locked).toBe(false);
+  });
+
+  it("lets the owner back into a locked, passcode-protected room", async () => {
+    const { owner, roomId } = await createOwnedRoom(server, { passcode: "secret" });
+    const member = server.connect();
+    await member.trigger("joined-room", { roomId, peerId: "peer-member", passcode: "secret" });
+    await owner.trigger("lock-room");
+    await owner.trigger("leave-room");
+    expect(rooms[roomId].participants).toEqual(["peer-member"]);
+
+    await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+
+    expect(rooms[roomId].settings.locked).toBe(true);
+    expect(rooms[roomId].participants).toEqual(["peer-member", "peer-owner"]);
+    expect(owner.events("room-locked")).toHaveLength(0);
+    expect(owner.events("room-passcode-invalid")).toHaveLength(0);
+    expect(rooms[roomId].peerRoles["peer-owner"]).toBe("owner");
+  });
+});
@@ -0,0 +1,104 @@
+import { randomUUID } from "crypto";
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+// ---------------------------------------------------------------------------
+// Mocks — persistence is mocked before importing the room handler
+// ---------------------------------------------------------------------------
+jest.unstable_mockModule("../../../modules/rooms/services/roomService.js", () => ({
+  createPersistedRoom: jest.fn(async () => null),
+  deletePersistedRoom: jest.fn(async () => false),
+  findPersistedRoom: jest.fn(async () => null),
+  isRoomPersistenceEnabled: jest.fn(() => false),
+  touchPersistedRoom: jest.fn(async () => null),
+  updatePersistedRoomOwner: jest.fn(async () => null),
+  updatePersistedRoomSettings: jest.fn(async () => null),
+}));
+
+const { createPersistedRoom, findPersistedRoom, touchPersistedRoom } = await import(
+  "../../../modules/rooms/services/roomService.js"
+);
+const { default: roomHandler } = await import("../../roomHandler.js");
+const { rooms } = await import("../state.js");
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("room persistence", () => {
+  let server;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    server = createFakeRoomServer({ roomHandler });
+  });
+
+  it("rehydrates a persisted room with its owner and settings", async () => {
+    const roomId = randomUUID();
+    findPersistedRoom.mockResolvedValueOnce({
+      roomId,
+      createdAt: new Date("2026-01-01T00:00:00Z"),
+      createdByUserId: "user-1",
+      ownerUserId: "user-1",
+      passcodeHash: "",
+      settings: { locked: false, lobbyEnabled: false, maxParticipants: 4 },
+    });
+
+    const owner = server.connect({ authUserId: "user-1" });
+    await owner.trigger("joined-room", { roomId, peerId: "peer-owner" });
+
+    expect(findPersistedRoom).toHaveBeenCalledWith(roomId);
+    expect(rooms[roomId]).toMatchObject({
+      ownerUserId: "user-1",
+      createdAt: Date.parse("2026-01-01T00:00:00Z"),
+      peerRoles: { "peer-owner": "owner" },
+    });
+    expect(owner.events("get-users")).toEqual([
+      expect.objectContaining({ roomId, participants: ["peer-owner"], maxParticipants: 4 }),
+    ]);
+    expect(touchPersistedRoom).toHaveBeenCalledWith(roomId);
+  });
+
+  it("refuses unknown room IDs that cannot be auto-created", async () => {
+    const socket = server.connect();
+    await socket.trigger("joined-room", { roomId: "no-such-room", peerId: "peer-a" });
+
+    expect(socket.events("room-not-found")).toHaveLength(1);
+    expect(rooms["no-such-room"]).toBeUndefined();
+  });
+
+  it("persists rooms created over the socket", async () => {
+    const socket = server.connect({ authUserId: "user-1" });
+    await socket.trigger("create-room", { maxParticipants: 3 });
+
+    const [{ roomId }] = socket.events("room-created");
+    expect(createPersistedRoom).toHaveBeenCalledWith({
+      roomId,
+      createdByUserId: "user-1",
+      passcodeHash: "",
+      settings: expect.objectContaining({ maxParticipants: 3, lobbyEnabled: false }),
+    });
+  });
+
+  it("keeps a persisted room reachable after everyone has left", async () => {
+    const roomId = randomUUID();
+    const persisted = {
+      roomId,
+      createdAt: new Date(),
+      createdByUserId: "user-1",
+      ownerUserId: "user-1",
+      passcodeHash: "",
+      settings: {},
+    };
+    findPersistedRoom.mockResolvedValueOnce(persisted).mockResolvedValueOnce(persisted);
+
+    const first = server.connect({ authUserId: "user-1" });
+    await first.trigger("joined-room", { roomId, peerId: "peer-a" });
+    await first.trigger("leave-room");
+    expect(rooms[roomId]).toBeUndefined();
+
+    const second = server.connect({ authUserId: "user-2" });
+    await second.trigger("joined-room", { roomId, peerId: "peer-b" });
+    expect(rooms[roomId].participants).toEqual(["peer-b"]);
+    expect(rooms[roomId].peerRoles["peer-b"]).toBe("participant");
+  });
+});
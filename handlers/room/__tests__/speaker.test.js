@@ -0,0 +1,68 @@
+import { describe, it, expect } from "@jest/globals";
+import RoomConfig from "../../../config/roomConfig.js";
+import { createSpeakerState, pickActiveSpeaker } from "../speaker.js";
+
+const HOLD_MS = RoomConfig.ROOM_ACTIVE_SPEAKER_HOLD_MS;
+
+// A speaker state with `activePeerId` holding the floor since `activeSince`.
+const buildSpeaker = (activePeerId, activeSince, levels) => ({
+  ...createSpeakerState(),
+  activePeerId,
+  activeSince,
+  levels,
+});
+
+describe("pickActiveSpeaker", () => {
+  it("picks the loudest peer above the speaking threshold", () => {
+    const speaker = buildSpeaker("", 0, {
+      "peer-a": { level: 0.3, at: 1_000 },
+      "peer-b": { level: 0.6, at: 1_000 },
+      "peer-c": { level: 0.01, at: 1_000 },
+    });
+
+    expect(pickActiveSpeaker(speaker, 1_000)).toBe("peer-b");
+
+    const silent = buildSpeaker("", 0, { "peer-c": { level: 0.01, at: 1_000 } });
+    expect(pickActiveSpeaker(silent, 1_000)).toBe("");
+  });
+
+  it("keeps the current speaker for the hold time even against a louder peer", () => {
+    const now = 1_000 + HOLD_MS - 1;
+    const speaker = buildSpeaker("peer-a", 1_000, {
+      "peer-a": { level: 0.2, at: now },
+      "peer-b": { level: 0.9, at: now },
+    });
+
+    expect(pickActiveSpeaker(speaker, now)).toBe("peer-a");
+  });
+
+  it("switches after the hold time only to a clearly louder peer", () => {
+    const now = 1_000 + HOLD_MS;
+    const levels = (challengerLevel) => ({
+      "peer-a": { level: 0.4, at: now },
+      "peer-b": { level: challengerLevel, at: now },
+    });
+
+    expect(pickActiveSpeaker(buildSpeaker("peer-a", 1_000, levels(0.45)), now)).toBe("peer-a");
+    expect(pickActiveSpeaker(buildSpeaker("peer-a", 1_000, levels(0.6)), now)).toBe("peer-b");
+  });
+
+  it("hands the floor to anyone talking once the current speaker goes quiet", () => {
+    const now = 10_000;
+    const speaker = buildSpeaker("peer-a", 0, {
+      "peer-a": { level: 0.8, at: now - 5_000 },
+      "peer-b": { level: 0.1, at: now },
+    });
+
+    expect(pickActiveSpeaker(speaker, now)).toBe("peer-b");
+  });
+
+  it("keeps the last speaker active while nobody is talking", () => {
+    const speaker = buildSpeaker("peer-a", 0, {
+      "peer-a": { level: 0.8, at: 0 },
+      "peer-b": { level: 0.02, at: 10_000 },
+    });
+
+    expect(pickActiveSpeaker(speaker, 10_000)).toBe("peer-a");
+  });
+});
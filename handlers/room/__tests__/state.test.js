@@ -0,0 +1,69 @@
+import { describe, it, expect, jest } from "@jest/globals";
+import { rooms, teardownRoom } from "../state.js";
+import { createFakeRoomServer } from "./fakeRoomServer.js";
+
+const ROOM_ID = "room-1";
+
+// Just the parts of the room state that teardown touches.
+const createRoom = (server) => {
+  const knocker = server.connect({ lobbyRoomId: ROOM_ID });
+  const queued = server.connect({ overflowRoomId: ROOM_ID });
+  const member = server.connect();
+  member.join(ROOM_ID);
+
+  const lobbyTimeoutId = setTimeout(() => {}, 60_000);
+  const room = {
+    lobby: { "peer-knocker": { socketId: knocker.id, timeoutId: lobbyTimeoutId } },
+    overflowQueue: [{ peerId: "peer-queued", socketId: queued.id }],
+    reconnecting: {},
+    polls: {
+      "poll-1": {
+        pollId: "poll-1",
+        question: "Ship it?",
+        options: [{ id: "0", text: "Yes" }],
+        anonymous: true,
+        createdAt: Date.now(),
+        votes: {},
+      },
+    },
+    transcript: { segments: [] },
+    timeline: { sessionId: "session-1", events: [], peers: {}, truncated: false },
+    files: {},
+  };
+  rooms[ROOM_ID] = room;
+  return { room, knocker, queued, member, lobbyTimeoutId };
+};
+
+describe("teardownRoom", () => {
+  it("turns away waiting peers, closes polls and drops the room", () => {
+    const server = createFakeRoomServer({ roomHandler: () => {} });
+    const { room, knocker, queued, member, lobbyTimeoutId } = createRoom(server);
+    const clearTimeoutSpy = jest.spyOn(global, "clearTimeout");
+
+    teardownRoom(server.nsp, ROOM_ID, room, "room-ended");
+
+    expect(knocker.events("lobby-denied")).toEqual([{ roomId: ROOM_ID, reason: "room-ended" }]);
+    expect(knocker.data.lobbyRoomId).toBeUndefined();
+    expect(clearTimeoutSpy).toHaveBeenCalledWith(lobbyTimeoutId);
+    expect(queued.events("room-closed")).toEqual([{ roomId: ROOM_ID, reason: "room-ended" }]);
+    expect(queued.data.overflowRoomId).toBeUndefined();
+    expect(member.events("poll-closed")).toEqual([
+      expect.objectContaining({ roomId: ROOM_ID, reason: "room-ended" }),
+    ]);
+    expect(room.timeline.events).toEqual([
+      expect.objectContaining({ type: "closed", reason: "room-ended" }),
+    ]);
+    expect(rooms[ROOM_ID]).toBeUndefined();
+    clearTimeoutSpy.mockRestore();
+  });
+
+  it("still drops the room when no Socket.IO server is attached", () => {
+    const server = createFakeRoomServer({ roomHandler: () => {} });
+    const { room, knocker } = createRoom(server);
+
+    teardownRoom(null, ROOM_ID, room, "closed-by-admin");
+
+    expect(knocker.events("lobby-denied")).toEqual([]);
+    expect(rooms[ROOM_ID]).toBeUndefined();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "@jest/globals";
+import { sanitizeWhiteboardOp } from "../whiteboard.js";
+
+describe("sanitizeWhiteboardOp", () => {
+  it("clamps stroke coordinates and style to the allowed ranges", () => {
+    expect(
+      sanitizeWhiteboardOp({
+        id: "stroke-1",
+        kind: "stroke",
+        points: [[0.25, 0.5], { x: 4, y: -2 }],
+        color: "#FFAA00",
+        width: 500,
+        extra: "ignored",
+      })
+    ).toEqual({
+      id: "stroke-1",
+      kind: "stroke",
+      points: [
+        [0.25, 0.5],
+        [1, 0],
+      ],
+      color: "#ffaa00",
+      width: 50,
+    });
+  });
+
+  it("drops malformed operations", () => {
+    expect(sanitizeWhiteboardOp(null)).toBeNull();
+    expect(sanitizeWhiteboardOp({ kind: "stroke", points: [[0, 0]] })).toBeNull();
+    expect(sanitizeWhiteboardOp({ id: "a", kind: "stroke", points: [["x", 0]] })).toBeNull();
+    expect(sanitizeWhiteboardOp({ id: "b", kind: "shape", shape: "star", from: [0, 0], to: [1, 1] }))
+      .toBeNull();
+    expect(sanitizeWhiteboardOp({ id: "c", kind: "text", text: "   ", at: [0, 0] })).toBeNull();
+    expect(sanitizeWhiteboardOp({ id: "d", kind: "erase", targetIds: [] })).toBeNull();
+    expect(sanitizeWhiteboardOp({ id: "e", kind: "script" })).toBeNull();
+  });
+
+  it("deduplicates erase targets", () => {
+    expect(sanitizeWhiteboardOp({ id: "erase-1", kind: "erase", targetIds: ["a", "a", "b", 3] }))
+      .toEqual({ id: "erase-1", kind: "erase", targetIds: ["a", "b"] });
+  });
+});
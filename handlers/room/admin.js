@@ -0,0 +1,104 @@
+import RoomConfig from "../../config/roomConfig.js";
+import { buildParticipantProfilesPayload } from "./profiles.js";
+import { rooms, teardownRoom } from "./state.js";
+import { buildRoomTimelinePayload } from "./timeline.js";
+
+const buildRoomSummary = (roomId, room) => ({
+  roomId,
+  createdAt: room.createdAt,
+  ownerUserId: room.ownerUserId,
+  participantCount: room.participants.length,
+  lobbyCount: Object.keys(room.lobby).length,
+  overflowQueueCount: room.overflowQueue.length,
+  maxParticipants: room.settings.maxParticipants || RoomConfig.ROOM_MAX_PARTICIPANTS,
+  locked: room.settings.locked,
+  lobbyEnabled: room.settings.lobbyEnabled,
+  hasPasscode: !!room.passcodeHash,
+  breakoutParentRoomId: room.breakout?.parentRoomId || null,
+  breakoutRoomIds: room.breakouts ? [...room.breakouts.roomIds] : [],
+});
+
+// Read and close rooms from outside a socket handler (the /api/rooms routes). The Socket.IO
+// server is created after the Express app, so it is attached once it exists.
+export const createRoomAdmin = () => {
+  let nsp = null;
+
+  const attach = (io) => {
+    nsp = io.of("/");
+  };
+
+  const listRooms = () =>
+    Object.entries(rooms)
+      .map(([roomId, room]) => buildRoomSummary(roomId, room))
+      .sort((left, right) => left.createdAt - right.createdAt);
+
+  const getRoom = (roomId) => {
+    const room = rooms[roomId];
+    if (!room) return null;
+    return {
+      ...buildRoomSummary(roomId, room),
+      participants: [...room.participants],
+      participantProfiles: buildParticipantProfilesPayload(room),
+    };
+  };
+
+  // Tears down one room (see `teardownRoom`) with its peers still inside. Every participant gets
+  // `user-left` for every peer (including itself) with the close reason, then `room-closed`, and
+  // is taken out of the room.
+  const closeRoomState = (roomId, reason) => {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    if (room.breakouts) {
+      if (room.breakouts.timeoutId) clearTimeout(room.breakouts.timeoutId);
+      const childRoomIds = room.breakouts.roomIds;
+      room.breakouts = null;
+      childRoomIds.forEach((childRoomId) => closeRoomState(childRoomId, reason));
+    }
+
+    teardownRoom(nsp, roomId, room, reason);
+
+    if (nsp) {
+      room.participants.forEach((peerId) => {
+        nsp.to(roomId).emit("user-left", { peerId, reason });
+      });
+      nsp.to(roomId).emit("room-closed", { roomId, reason });
+
+      const roomSocketIds = [...(nsp.adapter.rooms.get(roomId) || [])];
+      roomSocketIds.forEach((socketId) => {
+        const roomSocket = nsp.sockets.get(socketId);
+        if (!roomSocket) return;
+        roomSocket.leave(roomId);
+        if (roomSocket.data?.roomId === roomId) {
+          delete roomSocket.data.roomId;
+          delete roomSocket.data.peerId;
+        }
+        if (
+          roomSocket.data?.breakoutRoomId === roomId ||
+          roomSocket.data?.breakoutParentRoomId === roomId
+        ) {
+          delete roomSocket.data.breakoutRoomId;
+          delete roomSocket.data.breakoutParentRoomId;
+        }
+      });
+    }
+  };
+
+  // Closing a main room also closes its breakout rooms; breakout rooms themselves are closed
+  // through their main room. Returns the closed room IDs, or null when nothing was closed.
+  const closeRoom = (roomId, { reason = "closed-by-admin" } = {}) => {
+    const room = rooms[roomId];
+    if (!room || room.breakout) return null;
+
+    const closedRoomIds = [roomId, ...(room.breakouts?.roomIds || [])];
+    closeRoomState(roomId, reason);
+    return closedRoomIds;
+  };
+
+  const getRoomTimeline = (roomId) => {
+    const room = rooms[roomId];
+    return room ? buildRoomTimelinePayload(roomId, room) : null;
+  };
+
+  return { attach, listRooms, getRoom, getRoomTimeline, closeRoom };
+};
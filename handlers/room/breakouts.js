@@ -0,0 +1,296 @@
+import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../../config/roomConfig.js";
+
+const MAX_BREAKOUT_ROOMS = 50;
+const MAX_BREAKOUT_DURATION_MS = 24 * 60 * 60_000;
+const MAX_BROADCAST_LENGTH = 1000;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(Math.random() * (index + 1));
+    [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+  }
+  return shuffled;
+};
+
+const normalizeBreakoutName = (value, index) => {
+  const name = typeof value === "string" ? value.trim().slice(0, 64) : "";
+  return name || `Breakout ${index + 1}`;
+};
+
+// Builds peerId => breakout index. Manual assignments may leave peers in the main room; random
+// assignment spreads everyone except the owner round-robin.
+const buildAssignments = ({ assignment, assignments, count, candidatePeerIds }) => {
+  const result = {};
+  if (assignment === "manual") {
+    Object.entries(assignments && typeof assignments === "object" ? assignments : {}).forEach(
+      ([peerId, index]) => {
+        const normalizedIndex = Number(index);
+        if (!candidatePeerIds.includes(peerId)) return;
+        if (!Number.isInteger(normalizedIndex) || normalizedIndex < 0 || normalizedIndex >= count) {
+          return;
+        }
+        result[peerId] = normalizedIndex;
+      }
+    );
+    return result;
+  }
+
+  shuffle(candidatePeerIds).forEach((peerId, position) => {
+    result[peerId] = position % count;
+  });
+  return result;
+};
+
+// Breakout rooms are plain in-memory rooms tagged with their parent. Clients move between rooms
+// with the regular `joined-room` / `ready` flow, so leaving the previous room goes through the
+// usual `removePeerFromRoom` bookkeeping in the room handler.
+export const createRoomBreakoutHandlers = ({
+  socket,
+  rooms,
+  createRoomState,
+  resolveOwnerRoom,
+  emitRoomError,
+  buildParticipantProfile,
+  pruneRoomState,
+}) => {
+  const buildBreakoutSummary = (parentRoom) => {
+    const session = parentRoom.breakouts;
+    return {
+      sessionId: session.sessionId,
+      startedAt: session.startedAt,
+      endsAt: session.endsAt,
+      breakoutRooms: session.roomIds.map((roomId, index) => ({
+        roomId,
+        index,
+        name: rooms[roomId]?.breakout?.name || normalizeBreakoutName("", index),
+        assignedPeerIds: Object.keys(session.assignments).filter(
+          (peerId) => session.assignments[peerId] === roomId
+        ),
+      })),
+    };
+  };
+
+  // Owners may manage breakouts while visiting one of them; resolve back to the main room.
+  const resolveParentRoom = () => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return null;
+    if (!resolved.room.breakout) return resolved;
+
+    const parentRoomId = resolved.room.breakout.parentRoomId;
+    const parentRoom = rooms[parentRoomId];
+    if (!parentRoom) {
+      emitRoomError("The main room no longer exists.", "room-not-found");
+      return null;
+    }
+    return { roomId: parentRoomId, room: parentRoom };
+  };
+
+  const endBreakoutSession = (parentRoomId, reason) => {
+    const parentRoom = rooms[parentRoomId];
+    const session = parentRoom?.breakouts;
+    if (!session) return;
+
+    if (session.timeoutId) {
+      clearTimeout(session.timeoutId);
+    }
+    parentRoom.breakouts = null;
+
+    // Recalled peers are still on their way back, and the main room may have nobody in it right
+    // now (e.g. the owner recalled from inside a breakout room), so it is kept for a while.
+    parentRoom.recallTimeoutId = setTimeout(() => {
+      parentRoom.recallTimeoutId = null;
+      if (rooms[parentRoomId] === parentRoom) pruneRoomState(parentRoomId);
+    }, RoomConfig.ROOM_BREAKOUT_RECALL_GRACE_MS);
+
+    session.roomIds.forEach((childRoomId) => {
+      socket.nsp.to(childRoomId).emit("breakout-recalled", {
+        parentRoomId,
+        roomId: childRoomId,
+        reason,
+      });
+    });
+
+    // Peers that were assigned but never left the main room also need to drop their assignment.
+    Object.keys(session.assignments).forEach((peerId) => {
+      const assignedSocket = socket.nsp.sockets.get(parentRoom.peerToSocket[peerId]);
+      if (assignedSocket?.data?.roomId === parentRoomId) {
+        delete assignedSocket.data.breakoutRoomId;
+        delete assignedSocket.data.breakoutParentRoomId;
+      }
+    });
+
+    socket.nsp.to(parentRoomId).emit("breakout-ended", { parentRoomId, reason });
+    session.roomIds.forEach((childRoomId) => pruneRoomState(childRoomId));
+  };
+
+  const startBreakouts = ({ count, assignment, assignments, names, durationMs } = {}) => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return;
+    const { roomId: parentRoomId, room: parentRoom } = resolved;
+
+    if (parentRoom.breakout) {
+      emitRoomError("Breakout rooms cannot be nested.", "breakout-nested");
+      return;
+    }
+
+    if (parentRoom.breakouts) {
+      emitRoomError("Breakout rooms are already running.", "breakout-active");
+      return;
+    }
+
+    const normalizedCount = Number(count);
+    if (
+      !Number.isInteger(normalizedCount) ||
+      normalizedCount < 1 ||
+      normalizedCount > MAX_BREAKOUT_ROOMS
+    ) {
+      emitRoomError(
+        `Choose between 1 and ${MAX_BREAKOUT_ROOMS} breakout rooms.`,
+        "breakout-count-invalid"
+      );
+      return;
+    }
+
+    const normalizedAssignment = assignment === "manual" ? "manual" : "random";
+    const ownerPeerId = parentRoom.socketToPeer[socket.id];
+    const candidatePeerIds = parentRoom.participants.filter(
+      (peerId) => peerId !== ownerPeerId && !parentRoom.reconnecting[peerId]
+    );
+    const peerAssignments = buildAssignments({
+      assignment: normalizedAssignment,
+      assignments,
+      count: normalizedCount,
+      candidatePeerIds,
+    });
+    if (Object.keys(peerAssignments).length === 0) {
+      emitRoomError("No participants to assign to breakout rooms.", "breakout-no-participants");
+      return;
+    }
+
+    const normalizedDurationMs = Number(durationMs);
+    const hasTimer =
+      Number.isFinite(normalizedDurationMs) &&
+      normalizedDurationMs > 0 &&
+      normalizedDurationMs <= MAX_BREAKOUT_DURATION_MS;
+
+    const now = Date.now();
+    const childRoomIds = Array.from({ length: normalizedCount }, (_, index) => {
+      const childRoomId = UUIDv4();
+      rooms[childRoomId] = createRoomState({
+        ownerUserId: parentRoom.ownerUserId,
+        ownerSocketId: parentRoom.ownerSocketId,
+      });
+      rooms[childRoomId].breakout = {
+        parentRoomId,
+        index,
+        name: normalizeBreakoutName(Array.isArray(names) ? names[index] : "", index),
+      };
+      return childRoomId;
+    });
+
+    const session = {
+      sessionId: UUIDv4(),
+      roomIds: childRoomIds,
+      assignments: {},
+      startedAt: now,
+      endsAt: hasTimer ? now + normalizedDurationMs : null,
+      timeoutId: null,
+    };
+    if (hasTimer) {
+      session.timeoutId = setTimeout(() => {
+        endBreakoutSession(parentRoomId, "timer-expired");
+      }, normalizedDurationMs);
+    }
+    parentRoom.breakouts = session;
+
+    Object.entries(peerAssignments).forEach(([peerId, index]) => {
+      const childRoomId = childRoomIds[index];
+      const assignedSocket = socket.nsp.sockets.get(parentRoom.peerToSocket[peerId]);
+      if (!assignedSocket) return;
+
+      session.assignments[peerId] = childRoomId;
+      assignedSocket.data.breakoutRoomId = childRoomId;
+      assignedSocket.data.breakoutParentRoomId = parentRoomId;
+      assignedSocket.emit("breakout-assigned", {
+        parentRoomId,
+        roomId: childRoomId,
+        index,
+        name: rooms[childRoomId].breakout.name,
+        endsAt: session.endsAt,
+      });
+    });
+
+    socket.nsp.to(parentRoomId).emit("breakout-started", {
+      parentRoomId,
+      ...buildBreakoutSummary(parentRoom),
+    });
+  };
+
+  // The broadcast reaches every breakout room and the main room.
+  const broadcastToBreakouts = ({ text } = {}) => {
+    const resolved = resolveParentRoom();
+    if (!resolved) return;
+    const { roomId: parentRoomId, room: parentRoom } = resolved;
+
+    if (!parentRoom.breakouts) {
+      emitRoomError("No breakout rooms are running.", "breakout-not-active");
+      return;
+    }
+
+    const normalizedText = typeof text === "string" ? text.trim() : "";
+    if (!normalizedText || normalizedText.length > MAX_BROADCAST_LENGTH) {
+      emitRoomError(
+        `Broadcast text must be 1 to ${MAX_BROADCAST_LENGTH} characters.`,
+        "breakout-broadcast-invalid"
+      );
+      return;
+    }
+
+    const fromRoomId = socket.data?.roomId;
+    const fromPeerId = String(socket.data?.peerId || "").trim();
+    const fromLabel =
+      fromPeerId && rooms[fromRoomId]
+        ? buildParticipantProfile(rooms[fromRoomId], fromPeerId).label
+        : "";
+
+    socket.nsp.to([parentRoomId, ...parentRoom.breakouts.roomIds]).emit("breakout-broadcast", {
+      parentRoomId,
+      text: normalizedText,
+      fromPeerId,
+      fromLabel,
+      sentAt: Date.now(),
+    });
+  };
+
+  const recallBreakouts = () => {
+    const resolved = resolveParentRoom();
+    if (!resolved) return;
+
+    if (!resolved.room.breakouts) {
+      emitRoomError("No breakout rooms are running.", "breakout-not-active");
+      return;
+    }
+
+    endBreakoutSession(resolved.roomId, "recalled");
+  };
+
+  // Called by the room handler when a breakout room is dropped; once every breakout room is gone
+  // there is nothing left to recall, so the session ends on its own.
+  const handleBreakoutRoomClosed = (childRoom) => {
+    const parentRoomId = childRoom?.breakout?.parentRoomId;
+    const session = rooms[parentRoomId]?.breakouts;
+    if (!session) return;
+    if (session.roomIds.some((childRoomId) => !!rooms[childRoomId])) return;
+    endBreakoutSession(parentRoomId, "breakouts-empty");
+  };
+
+  return {
+    startBreakouts,
+    broadcastToBreakouts,
+    recallBreakouts,
+    handleBreakoutRoomClosed,
+    buildBreakoutSummary,
+  };
+};
@@ -0,0 +1,85 @@
+import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../../config/roomConfig.js";
+
+const normalizeChatText = (value) => {
+  if (typeof value !== "string") return "";
+  return value.trim();
+};
+
+export const createRoomChatHandlers = ({
+  socket,
+  resolveJoinedRoom,
+  emitRoomError,
+  buildParticipantProfile,
+}) => {
+  const sendChatMessage = ({ text, toPeerId } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    const normalizedText = normalizeChatText(text);
+    if (!normalizedText) {
+      emitRoomError("Message text is required.", "chat-message-empty");
+      return;
+    }
+
+    if (normalizedText.length > RoomConfig.ROOM_CHAT_MAX_LENGTH) {
+      emitRoomError(
+        `Messages can be at most ${RoomConfig.ROOM_CHAT_MAX_LENGTH} characters.`,
+        "chat-message-too-long"
+      );
+      return;
+    }
+
+    const normalizedToPeerId = String(toPeerId || "").trim();
+    const targetSocketId = normalizedToPeerId ? room.peerToSocket[normalizedToPeerId] : "";
+    if (normalizedToPeerId && !targetSocketId) {
+      emitRoomError("That participant is not in the room.", "participant-not-found");
+      return;
+    }
+
+    // Viewers (admitted through a viewer invite) can still message people directly.
+    if (!targetSocketId && room.peerRoles[peerId] === "viewer") {
+      emitRoomError("Viewers cannot post to the room chat.", "chat-viewer-read-only");
+      return;
+    }
+
+    const message = {
+      messageId: UUIDv4(),
+      roomId,
+      fromPeerId: peerId,
+      fromLabel: buildParticipantProfile(room, peerId).label,
+      text: normalizedText,
+      sentAt: Date.now(),
+    };
+
+    // Direct messages go to both ends only and are never kept in the replayable history.
+    if (targetSocketId) {
+      const directMessage = { ...message, toPeerId: normalizedToPeerId, direct: true };
+      socket.nsp.to([targetSocketId, socket.id]).emit("room-chat-message", directMessage);
+      return;
+    }
+
+    const roomMessage = { ...message, direct: false };
+    room.chatHistory.push(roomMessage);
+    if (room.chatHistory.length > RoomConfig.ROOM_CHAT_HISTORY_LIMIT) {
+      room.chatHistory.splice(0, room.chatHistory.length - RoomConfig.ROOM_CHAT_HISTORY_LIMIT);
+    }
+    socket.nsp.to(roomId).emit("room-chat-message", roomMessage);
+  };
+
+  const emitChatHistory = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+
+    socket.emit("room-chat-history", {
+      roomId: joined.roomId,
+      messages: joined.room.chatHistory,
+    });
+  };
+
+  return {
+    sendChatMessage,
+    emitChatHistory,
+  };
+};
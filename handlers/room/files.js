@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import FileConfig from "../../config/fileConfig.js";
+import {
+  createRoomFileToken,
+  createRoomFileUploadToken,
+  verifyRoomFileToken,
+  verifyRoomFileUploadToken,
+} from "../../modules/auth/utils/tokenUtils.js";
+import { buildParticipantProfile } from "./profiles.js";
+import { rooms } from "./state.js";
+
+const UPLOAD_TICKET_TTL_SECONDS = 5 * 60;
+const STORED_FILE_NAME_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shared files only live as long as the in-memory room they belong to, so their tokens are
+// signed with a per-process secret: a restart drops the rooms and invalidates every link.
+const fileTokenSecret = crypto.randomBytes(32).toString("hex");
+
+// Files are stored under their generated ID, never under a client-supplied name.
+export const resolveStoredFilePath = (fileId) =>
+  path.join(FileConfig.ROOM_FILE_UPLOAD_DIR, String(fileId));
+
+const buildDownloadUrl = (roomId, fileId, peerId) => {
+  const token = createRoomFileToken({
+    fileId,
+    roomId,
+    peerId,
+    secret: fileTokenSecret,
+    expiresIn: Math.ceil(FileConfig.ROOM_FILE_LINK_TTL_MS / 1000),
+  });
+  return (
+    `/api/rooms/${encodeURIComponent(roomId)}/files/${encodeURIComponent(fileId)}` +
+    `?token=${encodeURIComponent(token)}`
+  );
+};
+
+const buildFilePayload = (file) => ({
+  fileId: file.fileId,
+  name: file.name,
+  mimeType: file.mimeType,
+  size: file.size,
+  uploadedByPeerId: file.uploadedByPeerId,
+  uploadedByLabel: file.uploadedByLabel,
+  uploadedAt: file.uploadedAt,
+});
+
+// Every member gets download links signed for their own peer ID.
+export const buildRoomFilesPayload = (roomId, room, peerId) =>
+  Object.values(room?.files || {}).map((file) => ({
+    ...buildFilePayload(file),
+    downloadUrl: buildDownloadUrl(roomId, file.fileId, peerId),
+  }));
+
+const unlinkStoredFile = (fileId) =>
+  fs.promises.rm(resolveStoredFilePath(fileId), { force: true }).catch((error) => {
+    console.error("[files] cleanup failed:", error?.message || error);
+  });
+
+// Called when a room's state is torn down; its files go with it.
+export const removeRoomFiles = (room) => {
+  const fileIds = Object.keys(room?.files || {});
+  if (fileIds.length === 0) return;
+  room.files = {};
+  fileIds.forEach((fileId) => {
+    void unlinkStoredFile(fileId);
+  });
+};
+
+export const createRoomFileHandlers = ({ socket, resolveJoinedRoom, emitRoomError }) => {
+  // Uploads go over HTTP (multipart), so the socket hands out a short-lived ticket that proves
+  // the uploader is in the room right now.
+  const requestFileUpload = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (room.peerRoles[peerId] === "viewer") {
+      emitRoomError("Viewers cannot share files.", "room-file-read-only");
+      return;
+    }
+
+    socket.emit("room-file-upload-ticket", {
+      roomId,
+      uploadUrl: `/api/rooms/${encodeURIComponent(roomId)}/files`,
+      token: createRoomFileUploadToken({
+        roomId,
+        peerId,
+        socketId: socket.id,
+        secret: fileTokenSecret,
+        expiresIn: UPLOAD_TICKET_TTL_SECONDS,
+      }),
+      expiresAt: Date.now() + UPLOAD_TICKET_TTL_SECONDS * 1000,
+      maxBytes: FileConfig.ROOM_FILE_MAX_BYTES,
+      allowedMimeTypes: FileConfig.ROOM_FILE_ALLOWED_MIME_TYPES,
+    });
+  };
+
+  return {
+    requestFileUpload,
+  };
+};
+
+// Bridges the HTTP file routes and the live rooms, like `createRoomAdmin`. Methods return
+// { error } with an error code instead of throwing so the router can map them to statuses.
+export const createRoomFileSharing = () => {
+  let nsp = null;
+
+  const attach = (io) => {
+    nsp = io.of("/");
+    void purgeStaleUploads();
+  };
+
+  // Rooms do not survive a restart, so anything left in the upload directory is orphaned.
+  const purgeStaleUploads = async () => {
+    try {
+      await fs.promises.mkdir(FileConfig.ROOM_FILE_UPLOAD_DIR, { recursive: true });
+      const entries = await fs.promises.readdir(FileConfig.ROOM_FILE_UPLOAD_DIR);
+      await Promise.all(
+        entries
+          .filter((entry) => STORED_FILE_NAME_PATTERN.test(entry))
+          .map((entry) => unlinkStoredFile(entry))
+      );
+    } catch (error) {
+      console.error("[files] upload directory setup failed:", error?.message || error);
+    }
+  };
+
+  const isPeerOnSocket = (room, peerId, socketId) =>
+    !!room && !!peerId && room.peerToSocket[peerId] === socketId && !!nsp?.sockets.get(socketId);
+
+  const authorizeUpload = (roomId, token) => {
+    let decoded;
+    try {
+      decoded = verifyRoomFileUploadToken({ token, secret: fileTokenSecret });
+    } catch {
+      return { error: "upload-token-invalid" };
+    }
+
+    const room = rooms[roomId];
+    if (decoded.roomId !== roomId || !isPeerOnSocket(room, decoded.peerId, decoded.socketId)) {
+      return { error: "not-in-room" };
+    }
+    if (room.peerRoles[decoded.peerId] === "viewer") return { error: "room-file-read-only" };
+    if (Object.keys(room.files).length >= FileConfig.ROOM_FILE_MAX_PER_ROOM) {
+      return { error: "room-file-limit-reached" };
+    }
+    return { peerId: decoded.peerId, socketId: decoded.socketId };
+  };
+
+  // Registers a stored upload and sends `room-file-shared` to every member. The uploader may
+  // have left while the body was streaming; the file is then discarded.
+  const shareFile = ({ roomId, peerId, socketId, fileId, name, mimeType, size }) => {
+    const room = rooms[roomId];
+    if (!isPeerOnSocket(room, peerId, socketId)) {
+      void unlinkStoredFile(fileId);
+      return { error: "not-in-room" };
+    }
+
+    const file = {
+      fileId,
+      name,
+      mimeType,
+      size,
+      uploadedByPeerId: peerId,
+      uploadedByLabel: buildParticipantProfile(room, peerId).label,
+      uploadedAt: Date.now(),
+    };
+    room.files[fileId] = file;
+
+    room.participants.forEach((memberPeerId) => {
+      const memberSocketId = room.peerToSocket[memberPeerId];
+      if (!memberSocketId) return;
+      nsp.to(memberSocketId).emit("room-file-shared", {
+        roomId,
+        file: buildFilePayload(file),
+        downloadUrl: buildDownloadUrl(roomId, fileId, memberPeerId),
+      });
+    });
+    return { file: buildFilePayload(file) };
+  };
+
+  // Download links are per member and stop working once that member leaves the room.
+  const resolveDownload = (roomId, fileId, token) => {
+    let decoded;
+    try {
+      decoded = verifyRoomFileToken({ token, secret: fileTokenSecret });
+    } catch {
+      return { error: "file-token-invalid" };
+    }
+
+    const room = rooms[roomId];
+    if (decoded.roomId !== roomId || decoded.sub !== fileId) return { error: "file-token-invalid" };
+    if (!room || !room.participants.includes(decoded.peerId)) return { error: "not-in-room" };
+
+    const file = room.files[fileId];
+    if (!file) return { error: "file-not-found" };
+    return { file, filePath: resolveStoredFilePath(fileId) };
+  };
+
+  return { attach, authorizeUpload, shareFile, resolveDownload };
+};
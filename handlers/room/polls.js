@@ -0,0 +1,266 @@
+import { v4 as UUIDv4 } from "uuid";
+import { savePollResult } from "../../modules/rooms/services/roomPollService.js";
+
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_OPEN_POLLS = 20;
+const MAX_POLL_DURATION_MS = 24 * 60 * 60_000;
+
+const normalizeText = (value, maxLength) => {
+  if (typeof value !== "string") return "";
+  return value.trim().slice(0, maxLength);
+};
+
+const normalizeOptions = (options) => {
+  if (!Array.isArray(options)) return null;
+  const texts = options.map((option) =>
+    normalizeText(typeof option === "string" ? option : option?.text, MAX_OPTION_LENGTH)
+  );
+  if (texts.some((text) => !text)) return null;
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) return null;
+  if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) return null;
+  return texts.map((text, index) => ({ id: String(index), text }));
+};
+
+// Returns the close timestamp, null for an open-ended poll, or undefined when it is invalid.
+const normalizeClosesAt = (value, now) => {
+  if (value === undefined || value === null || value === "") return null;
+  const closesAt = new Date(value).getTime();
+  if (!Number.isFinite(closesAt) || closesAt <= now || closesAt - now > MAX_POLL_DURATION_MS) {
+    return undefined;
+  }
+  return closesAt;
+};
+
+export const buildPollPayload = (poll) => ({
+  pollId: poll.pollId,
+  question: poll.question,
+  options: poll.options,
+  anonymous: poll.anonymous,
+  createdByPeerId: poll.createdByPeerId,
+  createdAt: poll.createdAt,
+  closesAt: poll.closesAt,
+  closedAt: poll.closedAt,
+});
+
+// Anonymous polls only ever expose counts; named polls also list who picked each option.
+export const buildPollResults = (poll) => {
+  const counts = poll.options.map(() => 0);
+  const votersByOption = poll.options.map(() => []);
+  Object.entries(poll.votes).forEach(([peerId, vote]) => {
+    const index = Number(vote.optionId);
+    counts[index] += 1;
+    votersByOption[index].push({ peerId, label: vote.label });
+  });
+
+  return {
+    counts,
+    totalVotes: Object.keys(poll.votes).length,
+    ...(poll.anonymous ? {} : { votersByOption }),
+  };
+};
+
+export const buildOpenPollsPayload = (room) =>
+  Object.values(room?.polls || {}).map(buildPollPayload);
+
+// Closes a poll, broadcasts the final results and stores them when the room is persisted. Used
+// by the poll handlers, and by room teardown so polls left open still end up with results.
+export const finalizePoll = (nsp, roomId, room, pollId, reason) => {
+  const poll = room?.polls?.[pollId];
+  if (!poll || poll.closedAt) return;
+
+  if (poll.timeoutId) {
+    clearTimeout(poll.timeoutId);
+    poll.timeoutId = null;
+  }
+  poll.closedAt = Date.now();
+  // Closed polls only live on in the broadcast and in the database, which keeps room state bounded.
+  delete room.polls[pollId];
+
+  const results = buildPollResults(poll);
+  nsp.to(roomId).emit("poll-closed", {
+    roomId,
+    poll: buildPollPayload(poll),
+    results,
+    reason,
+  });
+
+  const participantUserIds = new Set(
+    [
+      poll.createdByUserId,
+      room.ownerUserId,
+      ...Object.values(poll.votes).map((vote) => vote.userId),
+    ].filter(Boolean)
+  );
+  void savePollResult({
+    roomId,
+    pollId,
+    question: poll.question,
+    options: poll.options,
+    anonymous: poll.anonymous,
+    createdByUserId: poll.createdByUserId,
+    openedAt: new Date(poll.createdAt),
+    closedAt: new Date(poll.closedAt),
+    results,
+    participantUserIds: [...participantUserIds],
+  });
+};
+
+export const finalizeRoomPolls = (nsp, roomId, room, reason) => {
+  Object.keys(room?.polls || {}).forEach((pollId) => {
+    finalizePoll(nsp, roomId, room, pollId, reason);
+  });
+};
+
+export const createRoomPollHandlers = ({
+  socket,
+  rooms,
+  resolveJoinedRoom,
+  emitRoomError,
+  hasModeratorRole,
+  buildParticipantProfile,
+}) => {
+  const emitTallyToCreator = (roomId, room, poll) => {
+    const creatorSocketId = room.peerToSocket[poll.createdByPeerId];
+    if (!creatorSocketId) return;
+    socket.nsp.to(creatorSocketId).emit("poll-tally", {
+      roomId,
+      pollId: poll.pollId,
+      ...buildPollResults(poll),
+    });
+  };
+
+  const createPoll = ({ question, options, anonymous, closesAt } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can create polls.", "not-room-moderator");
+      return;
+    }
+
+    const normalizedQuestion = normalizeText(question, MAX_QUESTION_LENGTH);
+    if (!normalizedQuestion) {
+      emitRoomError("A poll needs a question.", "poll-question-required");
+      return;
+    }
+
+    const normalizedOptions = normalizeOptions(options);
+    if (!normalizedOptions) {
+      emitRoomError(
+        `A poll needs ${MIN_OPTIONS} to ${MAX_OPTIONS} distinct options.`,
+        "poll-options-invalid"
+      );
+      return;
+    }
+
+    const now = Date.now();
+    const normalizedClosesAt = normalizeClosesAt(closesAt, now);
+    if (normalizedClosesAt === undefined) {
+      emitRoomError("The poll close time must be within the next 24 hours.", "poll-close-invalid");
+      return;
+    }
+
+    if (Object.keys(room.polls).length >= MAX_OPEN_POLLS) {
+      emitRoomError("Too many polls are open in this room.", "poll-limit-reached");
+      return;
+    }
+
+    const poll = {
+      pollId: UUIDv4(),
+      question: normalizedQuestion,
+      options: normalizedOptions,
+      anonymous: !!anonymous,
+      createdByPeerId: peerId,
+      createdByUserId: String(socket.data?.authUserId || "").trim(),
+      createdAt: now,
+      closesAt: normalizedClosesAt,
+      closedAt: null,
+      timeoutId: null,
+      votes: {},
+      voterKeys: new Set(),
+    };
+    if (normalizedClosesAt) {
+      const { nsp } = socket;
+      poll.timeoutId = setTimeout(() => {
+        finalizePoll(nsp, roomId, rooms[roomId], poll.pollId, "timer-expired");
+      }, normalizedClosesAt - now);
+    }
+
+    room.polls[poll.pollId] = poll;
+    socket.nsp.to(roomId).emit("poll-created", { roomId, poll: buildPollPayload(poll) });
+  };
+
+  // A socket can re-join under a new peer ID, so votes are also keyed by socket and account:
+  // whoever voted once cannot vote again under another peer ID.
+  const buildVoterKeys = () => {
+    const authUserId = String(socket.data?.authUserId || "").trim();
+    return [`socket:${socket.id}`, ...(authUserId ? [`user:${authUserId}`] : [])];
+  };
+
+  const votePoll = ({ pollId, optionId } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    const poll = room.polls[String(pollId || "").trim()];
+    if (!poll || poll.closedAt) {
+      emitRoomError("That poll is not open.", "poll-not-open");
+      return;
+    }
+
+    const normalizedOptionId = String(optionId ?? "").trim();
+    if (!poll.options.some((option) => option.id === normalizedOptionId)) {
+      emitRoomError("Select one of the poll options.", "poll-option-invalid");
+      return;
+    }
+
+    const voterKeys = buildVoterKeys();
+    if (poll.votes[peerId] || voterKeys.some((key) => poll.voterKeys.has(key))) {
+      emitRoomError("You already voted in this poll.", "poll-already-voted");
+      return;
+    }
+
+    voterKeys.forEach((key) => poll.voterKeys.add(key));
+
+    poll.votes[peerId] = {
+      optionId: normalizedOptionId,
+      label: buildParticipantProfile(room, peerId).label,
+      userId: String(socket.data?.authUserId || "").trim(),
+    };
+    socket.emit("poll-vote-recorded", {
+      roomId,
+      pollId: poll.pollId,
+      optionId: normalizedOptionId,
+    });
+    emitTallyToCreator(roomId, room, poll);
+  };
+
+  const closePoll = ({ pollId } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    const poll = room.polls[String(pollId || "").trim()];
+    if (!poll || poll.closedAt) {
+      emitRoomError("That poll is not open.", "poll-not-open");
+      return;
+    }
+
+    if (poll.createdByPeerId !== peerId && !hasModeratorRole(room, peerId)) {
+      emitRoomError("Only the poll creator or a moderator can close it.", "not-room-moderator");
+      return;
+    }
+
+    finalizePoll(socket.nsp, roomId, room, poll.pollId, "closed");
+  };
+
+  return {
+    createPoll,
+    votePoll,
+    closePoll,
+  };
+};
@@ -0,0 +1,49 @@
+export const normalizeProfileText = (value, limit = 128) =>
+  String(value || "")
+    .trim()
+    .slice(0, limit);
+
+// Guests (see `resolveSocketGuest`) carry a display name but no account or email.
+export const buildPeerProfileFromSocket = (targetSocket, peerId) => {
+  const guest = !!targetSocket?.data?.guest;
+  const displayName = normalizeProfileText(
+    guest ? targetSocket?.data?.guestDisplayName : targetSocket?.data?.authDisplayName,
+    128
+  );
+  const email = guest ? "" : normalizeProfileText(targetSocket?.data?.authEmail, 128);
+  const fallbackPeerId = normalizeProfileText(peerId, 64);
+  const label =
+    (guest && displayName ? `${displayName} (guest)` : displayName) || email || fallbackPeerId;
+  return {
+    displayName,
+    email,
+    label,
+    guest,
+  };
+};
+
+export const buildParticipantProfile = (room, peerId) => {
+  const profile = room.peerProfiles?.[peerId] || {};
+  const displayName = normalizeProfileText(profile.displayName, 128);
+  const email = normalizeProfileText(profile.email, 128);
+  return {
+    displayName,
+    email,
+    label: normalizeProfileText(profile.label, 128) || displayName || email || peerId,
+    role: room.peerRoles?.[peerId] || "participant",
+    guest: !!profile.guest,
+    reconnecting: !!room.reconnecting?.[peerId],
+  };
+};
+
+export const buildParticipantProfilesPayload = (room) => {
+  if (!room) return {};
+
+  const payload = {};
+  room.participants.forEach((peerId) => {
+    const normalizedPeerId = String(peerId || "").trim();
+    if (!normalizedPeerId) return;
+    payload[normalizedPeerId] = buildParticipantProfile(room, normalizedPeerId);
+  });
+  return payload;
+};
@@ -0,0 +1,111 @@
+import RoomConfig from "../../config/roomConfig.js";
+
+const MAX_EMOJI_LENGTH = 16;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const normalizeEmoji = (value) => {
+  if (typeof value !== "string") return "";
+  const emoji = value.trim();
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji)) return "";
+  return emoji;
+};
+
+export const buildHandQueuePayload = (room) =>
+  (room?.handQueue || []).map((entry) => ({
+    peerId: entry.peerId,
+    raisedAt: entry.raisedAt,
+  }));
+
+export const removeFromHandQueue = (room, peerId) => {
+  if (!room?.handQueue) return false;
+  const queueLength = room.handQueue.length;
+  room.handQueue = room.handQueue.filter((entry) => entry.peerId !== peerId);
+  return room.handQueue.length !== queueLength;
+};
+
+export const createRoomReactionHandlers = ({
+  socket,
+  resolveJoinedRoom,
+  emitRoomError,
+  hasModeratorRole,
+}) => {
+  let lastReactionAt = 0;
+
+  const broadcastHandQueue = (roomId, room) => {
+    socket.nsp.to(roomId).emit("room-hand-queue-updated", {
+      roomId,
+      handQueue: buildHandQueuePayload(room),
+    });
+  };
+
+  const raiseHand = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (room.handQueue.some((entry) => entry.peerId === peerId)) return;
+    room.handQueue.push({ peerId, raisedAt: Date.now() });
+    broadcastHandQueue(roomId, room);
+  };
+
+  // Peers lower their own hand; moderators may also lower someone else's by peer ID.
+  const lowerHand = ({ peerId: targetPeerId } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    const normalizedTargetPeerId = String(targetPeerId || "").trim() || peerId;
+    if (normalizedTargetPeerId !== peerId && !hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can lower someone else's hand.", "not-room-moderator");
+      return;
+    }
+
+    if (removeFromHandQueue(room, normalizedTargetPeerId)) {
+      broadcastHandQueue(roomId, room);
+    }
+  };
+
+  const clearHandQueue = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can clear raised hands.", "not-room-moderator");
+      return;
+    }
+
+    room.handQueue = [];
+    broadcastHandQueue(roomId, room);
+  };
+
+  // Reactions are fire-and-forget: nothing is stored and throttled ones are dropped silently.
+  const sendReaction = ({ emoji } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+
+    const normalizedEmoji = normalizeEmoji(emoji);
+    if (!normalizedEmoji) {
+      emitRoomError("Select a valid emoji reaction.", "reaction-invalid");
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastReactionAt < RoomConfig.ROOM_REACTION_MIN_INTERVAL_MS) return;
+    lastReactionAt = now;
+
+    socket.nsp.to(joined.roomId).emit("room-reaction", {
+      roomId: joined.roomId,
+      peerId: joined.peerId,
+      emoji: normalizedEmoji,
+      sentAt: now,
+    });
+  };
+
+  return {
+    raiseHand,
+    lowerHand,
+    clearHandQueue,
+    sendReaction,
+  };
+};
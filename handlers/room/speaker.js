@@ -0,0 +1,157 @@
+import RoomConfig from "../../config/roomConfig.js";
+
+// Levels below this are treated as silence (normalised 0..1 input level).
+const SPEAKING_THRESHOLD = 0.05;
+// A report older than this no longer counts as "talking right now".
+const LEVEL_STALE_MS = 1500;
+// A challenger must be this much louder than a still-talking active speaker to take over.
+const TAKEOVER_MARGIN = 0.1;
+
+const normalizeAudioLevel = (value) => {
+  const level = Number(value);
+  if (!Number.isFinite(level) || level < 0 || level > 1) return null;
+  return level;
+};
+
+export const createSpeakerState = () => ({
+  activePeerId: "",
+  activeSince: 0,
+  spotlightPeerId: "",
+  levels: {},
+});
+
+export const buildActiveSpeakerPayload = (roomId, room) => ({
+  roomId,
+  peerId: room.speaker.spotlightPeerId || room.speaker.activePeerId || null,
+  activeSpeakerPeerId: room.speaker.activePeerId || null,
+  spotlightPeerId: room.speaker.spotlightPeerId || null,
+});
+
+// Drops a departing peer from the speaker state. Returns true when the broadcast speaker changed.
+export const removeFromSpeakerState = (room, peerId) => {
+  const speaker = room?.speaker;
+  if (!speaker) return false;
+
+  delete speaker.levels[peerId];
+  let changed = false;
+  if (speaker.activePeerId === peerId) {
+    speaker.activePeerId = "";
+    speaker.activeSince = 0;
+    changed = true;
+  }
+  if (speaker.spotlightPeerId === peerId) {
+    speaker.spotlightPeerId = "";
+    changed = true;
+  }
+  return changed;
+};
+
+const isTalking = (entry, now) =>
+  !!entry && entry.level >= SPEAKING_THRESHOLD && now - entry.at <= LEVEL_STALE_MS;
+
+// Picks the loudest recent speaker, with hysteresis: the current speaker keeps the floor for at
+// least ROOM_ACTIVE_SPEAKER_HOLD_MS, and afterwards only loses it to silence or to a clearly
+// louder peer. When nobody is talking the last speaker stays active.
+export const pickActiveSpeaker = (speaker, now) => {
+  let loudestPeerId = "";
+  let loudestLevel = 0;
+  Object.entries(speaker.levels).forEach(([peerId, entry]) => {
+    if (!isTalking(entry, now) || entry.level <= loudestLevel) return;
+    loudestPeerId = peerId;
+    loudestLevel = entry.level;
+  });
+
+  const currentPeerId = speaker.activePeerId;
+  if (!loudestPeerId || loudestPeerId === currentPeerId) return currentPeerId;
+  if (!currentPeerId) return loudestPeerId;
+  if (now - speaker.activeSince < RoomConfig.ROOM_ACTIVE_SPEAKER_HOLD_MS) return currentPeerId;
+
+  const currentEntry = speaker.levels[currentPeerId];
+  if (!isTalking(currentEntry, now)) return loudestPeerId;
+  return loudestLevel >= currentEntry.level + TAKEOVER_MARGIN ? loudestPeerId : currentPeerId;
+};
+
+export const createRoomSpeakerHandlers = ({
+  socket,
+  resolveJoinedRoom,
+  emitRoomError,
+  hasModeratorRole,
+}) => {
+  let lastLevelAt = 0;
+
+  const broadcastActiveSpeaker = (roomId, room) => {
+    socket.nsp.to(roomId).emit("active-speaker-changed", buildActiveSpeakerPayload(roomId, room));
+  };
+
+  // Level reports are frequent and lossy: throttled or malformed ones are dropped silently, and
+  // nothing is broadcast unless the active speaker actually changes.
+  const reportAudioLevel = ({ level } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    const normalizedLevel = normalizeAudioLevel(level);
+    if (normalizedLevel === null) return;
+    if (room.peerRoles[peerId] === "viewer") return;
+
+    const now = Date.now();
+    if (now - lastLevelAt < RoomConfig.ROOM_AUDIO_LEVEL_MIN_INTERVAL_MS) return;
+    lastLevelAt = now;
+
+    const { speaker } = room;
+    speaker.levels[peerId] = { level: normalizedLevel, at: now };
+
+    const nextPeerId = pickActiveSpeaker(speaker, now);
+    if (nextPeerId === speaker.activePeerId) return;
+    speaker.activePeerId = nextPeerId;
+    speaker.activeSince = now;
+
+    // While a spotlight is set everyone already sees the spotlighted peer; the change is still
+    // tracked so clearing the spotlight falls back to whoever is talking.
+    if (!speaker.spotlightPeerId) {
+      broadcastActiveSpeaker(roomId, room);
+    }
+  };
+
+  const setSpotlight = ({ peerId: targetPeerId } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can spotlight a participant.", "not-room-moderator");
+      return;
+    }
+
+    const normalizedTargetPeerId = String(targetPeerId || "").trim();
+    if (!normalizedTargetPeerId || !room.participants.includes(normalizedTargetPeerId)) {
+      emitRoomError("That participant is not in the room.", "participant-not-found");
+      return;
+    }
+
+    if (room.speaker.spotlightPeerId === normalizedTargetPeerId) return;
+    room.speaker.spotlightPeerId = normalizedTargetPeerId;
+    broadcastActiveSpeaker(roomId, room);
+  };
+
+  const clearSpotlight = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can clear the spotlight.", "not-room-moderator");
+      return;
+    }
+
+    if (!room.speaker.spotlightPeerId) return;
+    room.speaker.spotlightPeerId = "";
+    broadcastActiveSpeaker(roomId, room);
+  };
+
+  return {
+    reportAudioLevel,
+    setSpotlight,
+    clearSpotlight,
+  };
+};
@@ -0,0 +1,92 @@
+import { removeRoomFiles } from "./files.js";
+import { finalizeRoomPolls } from "./polls.js";
+import { finalizeRoomTimeline } from "./timeline.js";
+import { finalizeRoomTranscript } from "./transcript.js";
+
+// In-memory room store, shared by the socket room handler and the /api/rooms admin routes.
+// Room metadata is also persisted (when a database is connected) so links survive a restart;
+// the live participant maps below only ever live in memory.
+// roomId => {
+//   createdAt: number,
+//   createdByUserId: string,
+//   ownerUserId: string,
+//   ownerSocketId: string,
+//   moderatorUserIds: Set<string>,
+//   passcodeHash: string,
+//   settings: {
+//     autoCreated: boolean,
+//     locked: boolean,
+//     lobbyEnabled: boolean,
+//     maxParticipants: number,
+//     overflowQueueEnabled: boolean,
+//   },
+//   participants: string[],
+//   peerToSocket: Record<string, string>,
+//   socketToPeer: Record<string, string>,
+//   peerProfiles: Record<string, { displayName, email, label, guest: boolean }>,
+//   peerRoles: Record<string, "owner" | "moderator" | "participant" | "viewer">,
+//   lobby: Record<string, { peerId, socketId, participantProfile, requestedAt, timeoutId, admit }>,
+//   overflowQueue: Array<{ peerId, socketId, participantProfile, requestedAt, admit }>,
+//   reconnecting: Record<string, { socketId, authUserId, since, onHold, timeoutId }>,
+//   chatHistory: Array<{ messageId, roomId, fromPeerId, fromLabel, text, sentAt, direct }>,
+//   handQueue: Array<{ peerId, raisedAt }>,
+//   speaker: { activePeerId, activeSince, spotlightPeerId, levels: Record<peerId, { level, at }> },
+//   whiteboard: { seq, ops: Array<{ id, kind, seq, authorPeerId, createdAt, ... }>, locked },
+//   polls: Record<pollId, { pollId, question, options: Array<{ id, text }>, anonymous,
+//     createdByPeerId, createdByUserId, createdAt, closesAt, closedAt, timeoutId,
+//     votes: Record<peerId, { optionId, label, userId }>,
+//     voterKeys: Set<"socket:<socketId>" | "user:<authUserId>"> }>,
+//   transcript: { startedAt, segments: Array<{ segmentId, speakerPeerId, speakerLabel, text,
+//     startMs, endMs }>, attendees: Record<peerId, { socketId, userId }> },
+//   files: Record<fileId, { fileId, name, mimeType, size, uploadedByPeerId, uploadedByLabel,
+//     uploadedAt }>,
+//   timeline: { sessionId, events: Array<{ type, at, peerId?, authUserId?, label?, reason? }>,
+//     peers: Record<peerId, { authUserId, label, guest }>, truncated },
+//   breakout: null | { parentRoomId, index, name },
+//   breakouts: null | { sessionId, roomIds, assignments, startedAt, endsAt, timeoutId },
+//   recallTimeoutId: null | Timeout (keeps a main room alive right after its breakouts end)
+// }
+export const rooms = {};
+
+// The room a socket currently takes part in as a peer, or "" (waiting in a lobby or an overflow
+// queue does not count).
+export const getJoinedRoomId = (targetSocket) => {
+  const roomId = targetSocket?.data?.roomId;
+  const peerId = targetSocket?.data?.peerId;
+  if (!roomId || !peerId || rooms[roomId]?.socketToPeer[targetSocket.id] !== peerId) return "";
+  return roomId;
+};
+
+// Ends a room for good: turns away whoever still waits in its lobby or overflow queue, cancels its
+// timers, closes open polls, summarizes the transcript, stores the timeline and deletes shared
+// files. Peers still inside are the caller's business. `nsp` may be null before the Socket.IO
+// server is attached, in which case nobody is notified.
+export const teardownRoom = (nsp, roomId, room, reason) => {
+  Object.values(room.lobby).forEach((entry) => {
+    if (entry.timeoutId) clearTimeout(entry.timeoutId);
+    const knockerSocket = nsp?.sockets.get(entry.socketId);
+    if (!knockerSocket) return;
+    if (knockerSocket.data?.lobbyRoomId === roomId) delete knockerSocket.data.lobbyRoomId;
+    knockerSocket.emit("lobby-denied", { roomId, reason });
+  });
+  room.lobby = {};
+
+  room.overflowQueue.forEach((entry) => {
+    const queuedSocket = nsp?.sockets.get(entry.socketId);
+    if (!queuedSocket) return;
+    if (queuedSocket.data?.overflowRoomId === roomId) delete queuedSocket.data.overflowRoomId;
+    queuedSocket.emit("room-closed", { roomId, reason });
+  });
+  room.overflowQueue = [];
+
+  Object.values(room.reconnecting).forEach((heldEntry) => clearTimeout(heldEntry.timeoutId));
+  if (room.recallTimeoutId) clearTimeout(room.recallTimeoutId);
+
+  if (nsp) {
+    finalizeRoomPolls(nsp, roomId, room, reason);
+    finalizeRoomTranscript(nsp, roomId, room);
+  }
+  finalizeRoomTimeline(roomId, room, reason);
+  removeRoomFiles(room);
+  delete rooms[roomId];
+};
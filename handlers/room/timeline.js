@@ -0,0 +1,54 @@
+import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../../config/roomConfig.js";
+import { saveRoomTimeline } from "../../modules/rooms/services/roomTimelineService.js";
+
+// A room's lifecycle as a list of events, used for attendance reports. Each time a room comes
+// into memory it starts a new session; the session is stored when the room ends.
+export const createTimelineState = ({ createdByUserId = "" } = {}) => ({
+  sessionId: UUIDv4(),
+  events: [{ type: "created", at: Date.now(), authUserId: createdByUserId || undefined }],
+  peers: {},
+  truncated: false,
+});
+
+const recordRoomEvent = (room, type, fields = {}) => {
+  const timeline = room?.timeline;
+  if (!timeline) return;
+  if (timeline.events.length >= RoomConfig.ROOM_TIMELINE_MAX_EVENTS) {
+    timeline.truncated = true;
+    return;
+  }
+  timeline.events.push({ type, at: Date.now(), ...fields });
+};
+
+// Peer events carry who the peer is. The identity is captured on join, so events recorded
+// after the peer's socket is gone (kicks, reconnect timeouts) still name the account.
+export const recordPeerEvent = (room, type, peerId, fields = {}, targetSocket = null) => {
+  const timeline = room?.timeline;
+  if (!timeline || !peerId) return;
+
+  if (targetSocket) {
+    const profile = room.peerProfiles[peerId] || {};
+    timeline.peers[peerId] = {
+      authUserId: String(targetSocket.data?.authUserId || "").trim() || undefined,
+      label: profile.label || peerId,
+      guest: !!profile.guest,
+    };
+  }
+  recordRoomEvent(room, type, { peerId, ...timeline.peers[peerId], ...fields });
+};
+
+export const buildRoomTimelinePayload = (roomId, room) => ({
+  roomId,
+  sessionId: room.timeline.sessionId,
+  ownerUserId: room.ownerUserId,
+  truncated: room.timeline.truncated,
+  events: room.timeline.events,
+});
+
+// Records the close and stores the session. Called from room teardown.
+export const finalizeRoomTimeline = (roomId, room, reason) => {
+  if (!room?.timeline) return;
+  recordRoomEvent(room, "closed", { reason });
+  void saveRoomTimeline(buildRoomTimelinePayload(roomId, room));
+};
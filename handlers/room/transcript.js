@@ -0,0 +1,143 @@
+import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../../config/roomConfig.js";
+import { saveRoomSummary } from "../../modules/rooms/services/roomSummaryService.js";
+import { summarizeText } from "../../modules/summarizer/llmProvider.js";
+import { buildParticipantProfile } from "./profiles.js";
+
+const MAX_SEGMENT_TEXT_LENGTH = 1000;
+const MAX_SEGMENT_ID_LENGTH = 64;
+
+const normalizeTime = (value) => {
+  const time = Number(value);
+  if (!Number.isFinite(time) || time < 0) return null;
+  return Math.round(time);
+};
+
+export const createTranscriptState = () => ({
+  startedAt: Date.now(),
+  segments: [],
+  attendees: {},
+});
+
+// Everyone who was in the room at some point receives the summary, not only those who spoke.
+export const recordTranscriptAttendee = (room, peerId, socket) => {
+  room.transcript.attendees[peerId] = {
+    socketId: socket.id,
+    userId: String(socket.data?.authUserId || "").trim(),
+  };
+};
+
+// Segments are kept ordered by start time; captions from different clients arrive interleaved.
+const insertSegment = (segments, segment) => {
+  let index = segments.length;
+  while (index > 0 && segments[index - 1].startMs > segment.startMs) {
+    index -= 1;
+  }
+  segments.splice(index, 0, segment);
+};
+
+export const buildTranscriptText = (segments) =>
+  segments.map((segment) => `${segment.speakerLabel}: ${segment.text}`).join("\n");
+
+// Runs when a room's state is torn down: summarizes the transcript, sends the result to every
+// attendee that is still connected and stores it when rooms are persisted. Rooms where nobody
+// sent captions are skipped.
+export const finalizeRoomTranscript = (nsp, roomId, room) => {
+  const transcript = room?.transcript;
+  if (!transcript || transcript.segments.length === 0) return;
+  room.transcript = createTranscriptState();
+
+  const endedAt = Date.now();
+  const attendees = Object.values(transcript.attendees);
+  void summarizeText(buildTranscriptText(transcript.segments))
+    .then((result) => {
+      const summary = {
+        summaryId: UUIDv4(),
+        roomId,
+        summary: result.summary,
+        bullets: result.bullets,
+        truncated: !!result.truncated,
+        segmentCount: transcript.segments.length,
+        startedAt: transcript.startedAt,
+        endedAt,
+      };
+
+      attendees.forEach(({ socketId }) => {
+        nsp.to(socketId).emit("room-summary-ready", summary);
+      });
+
+      return saveRoomSummary({
+        ...summary,
+        segments: transcript.segments,
+        attendeeUserIds: [
+          ...new Set([room.ownerUserId, ...attendees.map(({ userId }) => userId)]),
+        ].filter(Boolean),
+      });
+    })
+    .catch((error) => {
+      console.error(`[transcript] summary failed for room ${roomId}:`, error?.message || error);
+    });
+};
+
+export const createRoomTranscriptHandlers = ({
+  socket,
+  resolveJoinedRoom,
+  emitRoomError,
+  hasModeratorRole,
+}) => {
+  // Caption segments usually come from the speaker's own client. Moderators may also send them
+  // for other peers (e.g. a captioning assistant running on the host's machine).
+  const addTranscriptSegment = ({ segmentId, speakerPeerId, text, startMs, endMs } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { room, peerId } = joined;
+    const { transcript } = room;
+
+    const normalizedText = typeof text === "string" ? text.trim() : "";
+    const normalizedStartMs = normalizeTime(startMs);
+    const normalizedEndMs = normalizeTime(endMs ?? startMs);
+    if (
+      !normalizedText ||
+      normalizedText.length > MAX_SEGMENT_TEXT_LENGTH ||
+      normalizedStartMs === null ||
+      normalizedEndMs === null ||
+      normalizedEndMs < normalizedStartMs
+    ) {
+      emitRoomError("Transcript segments need text and a valid time range.", "transcript-invalid");
+      return;
+    }
+
+    const normalizedSpeakerPeerId = String(speakerPeerId || peerId).trim();
+    if (normalizedSpeakerPeerId !== peerId && !hasModeratorRole(room, peerId)) {
+      emitRoomError("You can only send your own captions.", "not-room-moderator");
+      return;
+    }
+    if (!room.participants.includes(normalizedSpeakerPeerId)) {
+      emitRoomError("That participant is not in the room.", "participant-not-found");
+      return;
+    }
+
+    // Clients resend segments after a reconnect; one that is already stored is ignored.
+    const normalizedSegmentId =
+      String(segmentId || "").trim().slice(0, MAX_SEGMENT_ID_LENGTH) || UUIDv4();
+    if (transcript.segments.some((segment) => segment.segmentId === normalizedSegmentId)) return;
+
+    if (transcript.segments.length >= RoomConfig.ROOM_TRANSCRIPT_MAX_SEGMENTS) {
+      emitRoomError("The transcript for this room is full.", "transcript-full");
+      return;
+    }
+
+    insertSegment(transcript.segments, {
+      segmentId: normalizedSegmentId,
+      speakerPeerId: normalizedSpeakerPeerId,
+      speakerLabel: buildParticipantProfile(room, normalizedSpeakerPeerId).label,
+      text: normalizedText,
+      startMs: normalizedStartMs,
+      endMs: normalizedEndMs,
+    });
+  };
+
+  return {
+    addTranscriptSegment,
+  };
+};
@@ -0,0 +1,206 @@
+import RoomConfig from "../../config/roomConfig.js";
+
+const MAX_OP_ID_LENGTH = 64;
+const MAX_STROKE_POINTS = 2000;
+const MAX_ERASE_TARGETS = 200;
+const MAX_TEXT_LENGTH = 500;
+const SHAPE_TYPES = new Set(["rect", "ellipse", "line", "arrow"]);
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_COLOR = "#000000";
+
+const sanitizeString = (value, maxLength) => {
+  if (typeof value !== "string") return "";
+  return value.trim().slice(0, maxLength);
+};
+
+// Board coordinates are normalised to 0..1 so every client can scale them to its own canvas.
+const sanitizeCoordinate = (value) => {
+  const coordinate = Number(value);
+  if (!Number.isFinite(coordinate)) return null;
+  return Math.min(1, Math.max(0, coordinate));
+};
+
+const sanitizeNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+const sanitizeColor = (value) =>
+  typeof value === "string" && COLOR_PATTERN.test(value) ? value.toLowerCase() : DEFAULT_COLOR;
+
+const sanitizePoint = (point) => {
+  const x = sanitizeCoordinate(Array.isArray(point) ? point[0] : point?.x);
+  const y = sanitizeCoordinate(Array.isArray(point) ? point[1] : point?.y);
+  if (x === null || y === null) return null;
+  return [x, y];
+};
+
+// Whitelists one drawing operation. Returns null for anything malformed so it is dropped before
+// it reaches the op log or other clients.
+export const sanitizeWhiteboardOp = (op) => {
+  if (!op || typeof op !== "object") return null;
+
+  const id = sanitizeString(op.id, MAX_OP_ID_LENGTH);
+  const kind = sanitizeString(op.kind, 16);
+  if (!id) return null;
+
+  if (kind === "stroke") {
+    if (!Array.isArray(op.points) || op.points.length === 0) return null;
+    if (op.points.length > MAX_STROKE_POINTS) return null;
+    const points = op.points.map(sanitizePoint);
+    if (points.some((point) => point === null)) return null;
+    return {
+      id,
+      kind,
+      points,
+      color: sanitizeColor(op.color),
+      width: sanitizeNumber(op.width, 0.5, 50, 2),
+    };
+  }
+
+  if (kind === "shape") {
+    const shape = sanitizeString(op.shape, 16);
+    const from = sanitizePoint(op.from);
+    const to = sanitizePoint(op.to);
+    if (!SHAPE_TYPES.has(shape) || !from || !to) return null;
+    return {
+      id,
+      kind,
+      shape,
+      from,
+      to,
+      color: sanitizeColor(op.color),
+      width: sanitizeNumber(op.width, 0.5, 50, 2),
+      filled: !!op.filled,
+    };
+  }
+
+  if (kind === "text") {
+    const text = sanitizeString(op.text, MAX_TEXT_LENGTH);
+    const at = sanitizePoint(op.at);
+    if (!text || !at) return null;
+    return {
+      id,
+      kind,
+      text,
+      at,
+      color: sanitizeColor(op.color),
+      size: sanitizeNumber(op.size, 8, 96, 16),
+    };
+  }
+
+  if (kind === "erase") {
+    if (!Array.isArray(op.targetIds)) return null;
+    const targetIds = [
+      ...new Set(op.targetIds.map((targetId) => sanitizeString(targetId, MAX_OP_ID_LENGTH))),
+    ].filter(Boolean);
+    if (targetIds.length === 0 || targetIds.length > MAX_ERASE_TARGETS) return null;
+    return { id, kind, targetIds };
+  }
+
+  return null;
+};
+
+export const createWhiteboardState = () => ({
+  seq: 0,
+  ops: [],
+  locked: false,
+});
+
+export const buildWhiteboardSnapshot = (roomId, room) => ({
+  roomId,
+  seq: room.whiteboard.seq,
+  locked: room.whiteboard.locked,
+  ops: room.whiteboard.ops,
+});
+
+export const createRoomWhiteboardHandlers = ({
+  socket,
+  resolveJoinedRoom,
+  emitRoomError,
+  hasModeratorRole,
+}) => {
+  // Ops are appended to the room's log in arrival order and broadcast to everyone, the sender
+  // included, so all clients apply them in the same server-assigned sequence.
+  const applyWhiteboardOp = (payload = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+    const { whiteboard } = room;
+
+    const op = sanitizeWhiteboardOp(payload.op);
+    if (!op) return;
+
+    if (room.peerRoles[peerId] === "viewer") {
+      emitRoomError("Viewers cannot draw on the whiteboard.", "whiteboard-read-only");
+      return;
+    }
+
+    if (whiteboard.locked && !hasModeratorRole(room, peerId)) {
+      emitRoomError("The whiteboard is locked.", "whiteboard-locked");
+      return;
+    }
+
+    // Clients retry on reconnect; an op that is already in the log is not applied twice.
+    if (whiteboard.ops.some((entry) => entry.id === op.id)) return;
+
+    if (whiteboard.ops.length >= RoomConfig.ROOM_WHITEBOARD_MAX_OPS) {
+      emitRoomError("The whiteboard is full. Clear it to keep drawing.", "whiteboard-full");
+      return;
+    }
+
+    whiteboard.seq += 1;
+    const entry = { ...op, seq: whiteboard.seq, authorPeerId: peerId, createdAt: Date.now() };
+    whiteboard.ops.push(entry);
+    socket.nsp.to(roomId).emit("whiteboard-op", { roomId, op: entry });
+  };
+
+  const emitWhiteboardSnapshot = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    socket.emit("whiteboard-snapshot", buildWhiteboardSnapshot(joined.roomId, joined.room));
+  };
+
+  const clearWhiteboard = () => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can clear the whiteboard.", "not-room-moderator");
+      return;
+    }
+
+    // The sequence keeps counting so clients can discard ops that raced with the clear.
+    room.whiteboard.ops = [];
+    room.whiteboard.seq += 1;
+    socket.nsp.to(roomId).emit("whiteboard-cleared", {
+      roomId,
+      seq: room.whiteboard.seq,
+      by: peerId,
+    });
+  };
+
+  const setWhiteboardLocked = (locked) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return;
+    const { roomId, room, peerId } = joined;
+
+    if (!hasModeratorRole(room, peerId)) {
+      emitRoomError("Only moderators can lock the whiteboard.", "not-room-moderator");
+      return;
+    }
+
+    if (room.whiteboard.locked === locked) return;
+    room.whiteboard.locked = locked;
+    socket.nsp.to(roomId).emit("whiteboard-lock-changed", { roomId, locked, by: peerId });
+  };
+
+  return {
+    applyWhiteboardOp,
+    emitWhiteboardSnapshot,
+    clearWhiteboard,
+    setWhiteboardLocked,
+  };
+};
@@ -1,17 +1,103 @@
+import bcrypt from "bcryptjs";
 import { v4 as UUIDv4 } from "uuid";
-
-// In-memory room store
-// roomId => {
-//   participants: string[],
-//   peerToSocket: Record<string, string>,
-//   socketToPeer: Record<string, string>,
-//   peerProfiles: Record<string, { displayName: string, email: string, label: string }>
-// }
-const rooms = {};
+import AuthConfig from "../config/authConfig.js";
+import RoomConfig from "../config/roomConfig.js";
+import { createRoomBreakoutHandlers } from "./room/breakouts.js";
+import { createRoomChatHandlers } from "./room/chat.js";
+import {
+  buildRoomFilesPayload,
+  createRoomFileHandlers,
+} from "./room/files.js";
+import {
+  buildOpenPollsPayload,
+  createRoomPollHandlers,
+} from "./room/polls.js";
+import {
+  buildParticipantProfile,
+  buildParticipantProfilesPayload,
+  buildPeerProfileFromSocket,
+  normalizeProfileText,
+} from "./room/profiles.js";
+import {
+  buildHandQueuePayload,
+  createRoomReactionHandlers,
+  removeFromHandQueue,
+} from "./room/reactions.js";
+import {
+  buildActiveSpeakerPayload,
+  createRoomSpeakerHandlers,
+  createSpeakerState,
+  removeFromSpeakerState,
+} from "./room/speaker.js";
+import { rooms, teardownRoom } from "./room/state.js";
+import {
+  createTimelineState,
+  recordPeerEvent,
+} from "./room/timeline.js";
+import {
+  createRoomTranscriptHandlers,
+  createTranscriptState,
+  recordTranscriptAttendee,
+} from "./room/transcript.js";
+import {
+  buildWhiteboardSnapshot,
+  createRoomWhiteboardHandlers,
+  createWhiteboardState,
+} from "./room/whiteboard.js";
+import {
+  createPersistedRoom,
+  findPersistedRoom,
+  touchPersistedRoom,
+  updatePersistedRoomOwner,
+  updatePersistedRoomSettings,
+} from "../modules/rooms/services/roomService.js";
+import {
+  claimRoomInvite,
+  resolveRoomInvite,
+} from "../modules/rooms/services/roomInviteService.js";
+import {
+  findMeetingByRoomId,
+  getMeetingJoinRefusal,
+} from "../modules/meetings/services/meetingService.js";
 
 // Server-wide setting — read once at module load, not per socket connection.
-const autoCreateOnJoin =
-  String(process.env.ROOM_AUTO_CREATE_ON_JOIN || "").trim() !== "0";
+const autoCreateOnJoin = RoomConfig.ROOM_AUTO_CREATE_ON_JOIN;
+const lobbyTimeoutMs = RoomConfig.ROOM_LOBBY_TIMEOUT_MS;
+const reconnectGraceMs = RoomConfig.ROOM_RECONNECT_GRACE_MS;
+const callHoldMs = RoomConfig.ROOM_CALL_HOLD_MS;
+const serverMaxParticipants = RoomConfig.ROOM_MAX_PARTICIPANTS;
+
+// Socket.IO disconnect reasons that mean the client went away on purpose; those leave the room
+// right away instead of waiting out the reconnect grace window.
+const INTENTIONAL_DISCONNECT_REASONS = new Set([
+  "client namespace disconnect",
+  "server namespace disconnect",
+  "server shutting down",
+]);
+
+const MAX_PASSCODE_LENGTH = 128;
+const ROOM_ROLES = new Set(["owner", "moderator", "participant", "viewer"]);
+const MUTE_KINDS = new Set(["audio", "video"]);
+const INVITE_REFUSAL_MESSAGES = {
+  expired: "This invite link has expired.",
+  exhausted: "This invite link has already been used.",
+  revoked: "This invite link was revoked.",
+  "wrong-room": "This invite link is for a different room.",
+  unavailable: "Invite links are not available on this server.",
+};
+
+// A per-room limit can only tighten the server-wide capacity; 0 means "use the server default".
+const normalizeMaxParticipants = (value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) return 0;
+  return Math.min(parsed, serverMaxParticipants);
+};
+
+// Passcodes are compared as typed (like account passwords), only capped in length.
+const normalizePasscode = (value) => {
+  if (typeof value !== "string") return "";
+  return value.slice(0, MAX_PASSCODE_LENGTH);
+};
 
 const roomHandler = (socket) => {
 
@@ -24,63 +110,166 @@ const roomHandler = (socket) => {
     );
   };
 
-  const createRoomState = () => ({
+  const createRoomState = ({
+    createdAt,
+    createdByUserId = "",
+    ownerUserId = createdByUserId,
+    ownerSocketId = "",
+    passcodeHash = "",
+    settings = {},
+  } = {}) => ({
+    createdAt: Number(createdAt) || Date.now(),
+    createdByUserId: String(createdByUserId || "").trim(),
+    ownerUserId: String(ownerUserId || "").trim(),
+    ownerSocketId: String(ownerSocketId || "").trim(),
+    moderatorUserIds: new Set(),
+    passcodeHash: String(passcodeHash || ""),
+    settings: {
+      autoCreated: !!settings.autoCreated,
+      locked: !!settings.locked,
+      lobbyEnabled: !!settings.lobbyEnabled,
+      maxParticipants: normalizeMaxParticipants(settings.maxParticipants),
+      overflowQueueEnabled: !!settings.overflowQueueEnabled,
+    },
     participants: [],
     peerToSocket: {},
     socketToPeer: {},
     peerProfiles: {},
+    peerRoles: {},
+    lobby: {},
+    overflowQueue: [],
+    reconnecting: {},
+    chatHistory: [],
+    handQueue: [],
+    speaker: createSpeakerState(),
+    whiteboard: createWhiteboardState(),
+    polls: {},
+    transcript: createTranscriptState(),
+    files: {},
+    timeline: createTimelineState({ createdByUserId: String(createdByUserId || "").trim() }),
+    breakout: null,
+    breakouts: null,
+    recallTimeoutId: null,
   });
 
-  const normalizeProfileText = (value, limit = 128) =>
-    String(value || "")
-      .trim()
-      .slice(0, limit);
+  const emitRoomError = (message, code = "room-error") => {
+    socket.emit("room-error", {
+      message: String(message || "Room request failed."),
+      code: String(code || "room-error"),
+    });
+  };
+
+  // The owner is recognised by account when authenticated (so it survives reconnects and
+  // restarts), otherwise by the socket that created the room or received ownership.
+  const isRoomOwner = (room, targetSocket = socket) => {
+    if (!room || !targetSocket) return false;
+    const authUserId = String(targetSocket.data?.authUserId || "").trim();
+    if (authUserId && room.ownerUserId === authUserId) return true;
+    return !!room.ownerSocketId && room.ownerSocketId === targetSocket.id;
+  };
 
-  const buildPeerProfileFromSocket = (targetSocket, peerId) => {
-    const displayName = normalizeProfileText(targetSocket?.data?.authDisplayName, 128);
-    const email = normalizeProfileText(targetSocket?.data?.authEmail, 128);
-    const fallbackPeerId = normalizeProfileText(peerId, 64);
-    const label = displayName || email || fallbackPeerId;
-    return {
-      displayName,
-      email,
-      label,
-    };
+  const resolvePeerRole = (room, targetSocket, peerId) => {
+    if (isRoomOwner(room, targetSocket)) return "owner";
+    const authUserId = String(targetSocket?.data?.authUserId || "").trim();
+    if (authUserId && room.moderatorUserIds.has(authUserId)) return "moderator";
+    const role = room.peerRoles[peerId];
+    return role === "moderator" || role === "viewer" ? role : "participant";
   };
 
-  const buildParticipantProfilesPayload = (room) => {
-    if (!room) return {};
+  const hasModeratorRole = (room, peerId) => {
+    const role = room?.peerRoles?.[peerId];
+    return role === "owner" || role === "moderator";
+  };
 
-    const payload = {};
+  const buildRolesPayload = (room) => {
+    const roles = {};
     room.participants.forEach((peerId) => {
-      const normalizedPeerId = String(peerId || "").trim();
-      if (!normalizedPeerId) return;
-      const profile = room.peerProfiles?.[normalizedPeerId] || {};
-      const displayName = normalizeProfileText(profile.displayName, 128);
-      const email = normalizeProfileText(profile.email, 128);
-      payload[normalizedPeerId] = {
-        displayName,
-        email,
-        label: normalizeProfileText(profile.label, 128) || displayName || email || normalizedPeerId,
-      };
+      roles[peerId] = room.peerRoles[peerId] || "participant";
     });
-    return payload;
+    return roles;
+  };
+
+  const refreshPeerRoles = (roomId) => {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    room.participants.forEach((peerId) => {
+      const peerSocket = socket.nsp?.sockets?.get(room.peerToSocket[peerId]);
+      room.peerRoles[peerId] = resolvePeerRole(room, peerSocket, peerId);
+    });
+    socket.nsp.to(roomId).emit("room-roles-updated", { roomId, roles: buildRolesPayload(room) });
   };
 
   const isSocketActive = (socketId) =>
     !!socketId && socket.nsp?.sockets?.has(socketId);
 
+  const getRoomOwnerSocketIds = (room) => {
+    const candidateSocketIds = new Set([room.ownerSocketId, ...Object.keys(room.socketToPeer)]);
+    return Array.from(candidateSocketIds).filter(
+      (socketId) =>
+        isSocketActive(socketId) && isRoomOwner(room, socket.nsp.sockets.get(socketId))
+    );
+  };
+
+  const emitToRoomOwners = (room, eventName, payload) => {
+    getRoomOwnerSocketIds(room).forEach((socketId) => {
+      socket.nsp.to(socketId).emit(eventName, payload);
+    });
+  };
+
+  const buildLobbyKnockPayload = (roomId, entry) => ({
+    roomId,
+    peerId: entry.peerId,
+    participantProfile: entry.participantProfile,
+    requestedAt: entry.requestedAt,
+  });
+
+  // Settles a pending lobby knock. Admission resumes the join inside the knocking socket's own
+  // handler (see `parkInLobby`), so the admitted peer receives `get-users` like any other joiner.
+  const resolveLobbyEntry = (roomId, peerId, { admitted, reason }) => {
+    const room = rooms[roomId];
+    const entry = room?.lobby?.[peerId];
+    if (!entry) return false;
+
+    delete room.lobby[peerId];
+    if (entry.timeoutId) {
+      clearTimeout(entry.timeoutId);
+    }
+
+    const knockerSocket = socket.nsp?.sockets?.get(entry.socketId);
+    if (knockerSocket?.data?.lobbyRoomId === roomId) {
+      delete knockerSocket.data.lobbyRoomId;
+    }
+
+    if (knockerSocket) {
+      if (admitted) {
+        void entry.admit();
+      } else {
+        knockerSocket.emit("lobby-denied", { roomId, reason });
+      }
+    }
+
+    emitToRoomOwners(room, "lobby-knock-resolved", { roomId, peerId, admitted, reason });
+    return true;
+  };
+
+  // A peer held for reconnect keeps its mappings to the dropped socket until the grace window ends.
+  const isHeldForReconnect = (room, peerId, socketId) =>
+    !!socketId && room.reconnecting?.[peerId]?.socketId === socketId;
+
   const pruneRoomState = (roomId) => {
     const room = rooms[roomId];
     if (!room) return;
 
     Object.entries(room.peerToSocket).forEach(([peerId, socketId]) => {
+      if (isHeldForReconnect(room, peerId, socketId)) return;
       if (!isSocketActive(socketId) || room.socketToPeer[socketId] !== peerId) {
         delete room.peerToSocket[peerId];
       }
     });
 
     Object.entries(room.socketToPeer).forEach(([socketId, peerId]) => {
+      if (isHeldForReconnect(room, peerId, socketId)) return;
       if (!isSocketActive(socketId) || room.peerToSocket[peerId] !== socketId) {
         delete room.socketToPeer[socketId];
       }
@@ -88,6 +277,7 @@ const roomHandler = (socket) => {
 
     room.participants = [...new Set(room.participants)].filter((peerId) => {
       const peerSocketId = room.peerToSocket[peerId];
+      if (isHeldForReconnect(room, peerId, peerSocketId)) return true;
       return !!peerSocketId && isSocketActive(peerSocketId);
     });
     const activeParticipantSet = new Set(room.participants);
@@ -96,13 +286,31 @@ const roomHandler = (socket) => {
         delete room.peerProfiles[peerId];
       }
     });
+    Object.keys(room.peerRoles || {}).forEach((peerId) => {
+      if (!activeParticipantSet.has(peerId)) {
+        delete room.peerRoles[peerId];
+      }
+    });
+    room.handQueue = room.handQueue.filter((entry) => activeParticipantSet.has(entry.peerId));
 
     // Only delete the room if it's truly empty (no participants AND no sockets currently joined).
     // A brand new room starts with 0 participants until the creator emits `joined-room`.
+    // Peers waiting in the overflow queue keep it alive until they are admitted, and a main room
+    // stays around while its breakout rooms are running, and for a while after they end, so
+    // everyone can be recalled to it.
     const roomSocketIds = socket.nsp?.adapter?.rooms?.get(roomId);
     const hasSocketsInRoom = !!roomSocketIds && roomSocketIds.size > 0;
-    if (room.participants.length === 0 && !hasSocketsInRoom) {
-      delete rooms[roomId];
+    if (
+      room.participants.length === 0 &&
+      !hasSocketsInRoom &&
+      room.overflowQueue.length === 0 &&
+      !room.breakouts &&
+      !room.recallTimeoutId
+    ) {
+      teardownRoom(socket.nsp, roomId, room, "room-ended");
+      if (room.breakout) {
+        handleBreakoutRoomClosed(room);
+      }
     }
   };
 
@@ -111,27 +319,178 @@ const roomHandler = (socket) => {
     peerId: socket.data?.peerId,
   });
 
-  const removePeerFromRoom = ({ roomId, peerId, socketId }) => {
+  // `notifyActor` also tells the acting socket (e.g. a moderator kicking someone else); by
+  // default the acting socket is the departing peer itself or the socket taking over its ID.
+  // `transport` is the Socket.IO disconnect reason, kept on the timeline entry when known.
+  const removePeerFromRoom = ({
+    roomId,
+    peerId,
+    socketId,
+    reason = "left",
+    transport,
+    notifyActor = false,
+  }) => {
     const room = rooms[roomId];
     if (!room || !peerId) return;
 
+    const heldEntry = room.reconnecting[peerId];
+    if (heldEntry) {
+      clearTimeout(heldEntry.timeoutId);
+      delete room.reconnecting[peerId];
+    }
+
+    recordPeerEvent(room, "left", peerId, transport ? { reason, transport } : { reason });
     room.participants = room.participants.filter((id) => id !== peerId);
     delete room.peerToSocket[peerId];
     delete room.socketToPeer[socketId];
     delete room.peerProfiles[peerId];
+    delete room.peerRoles[peerId];
+    if (removeFromHandQueue(room, peerId)) {
+      socket.nsp.to(roomId).emit("room-hand-queue-updated", {
+        roomId,
+        handQueue: buildHandQueuePayload(room),
+      });
+    }
+    if (removeFromSpeakerState(room, peerId)) {
+      socket.nsp.to(roomId).emit("active-speaker-changed", buildActiveSpeakerPayload(roomId, room));
+    }
 
-    socket.to(roomId).emit("user-left", { peerId });
+    const audience = notifyActor ? socket.nsp.to(roomId).except(socketId) : socket.to(roomId);
+    audience.emit("user-left", { peerId, reason });
     // Do not delete the room here. A room can have 0 participants temporarily
     // while sockets are still joined (e.g. creator created room but hasn't emitted
     // `joined-room` yet). Cleanup is handled via `pruneRoomState()` after socket leaves.
   };
 
-  const leaveCurrentRoom = () => {
+  // Pulls another socket out of the adapter room after its peer was removed on its behalf.
+  const detachSocketFromRoom = (targetSocketId, roomId) => {
+    const targetSocket = socket.nsp?.sockets?.get(targetSocketId);
+    if (!targetSocket) return;
+
+    targetSocket.leave(roomId);
+    if (targetSocket.data?.roomId === roomId) {
+      delete targetSocket.data.roomId;
+      delete targetSocket.data.peerId;
+    }
+  };
+
+  const leaveLobby = () => {
+    const lobbyRoomId = socket.data?.lobbyRoomId;
+    if (!lobbyRoomId) return;
+
+    const room = rooms[lobbyRoomId];
+    const pendingEntry = Object.values(room?.lobby || {}).find(
+      (entry) => entry.socketId === socket.id
+    );
+    if (pendingEntry) {
+      resolveLobbyEntry(lobbyRoomId, pendingEntry.peerId, { admitted: false, reason: "left" });
+    }
+    delete socket.data.lobbyRoomId;
+  };
+
+  const getRoomCapacity = (room) => room.settings.maxParticipants || serverMaxParticipants;
+
+  // Held (reconnecting) peers still occupy their seat.
+  const hasSeatFor = (room, peerId) =>
+    room.participants.includes(peerId) || room.participants.length < getRoomCapacity(room);
+
+  const emitRoomFull = (room, roomId) => {
+    socket.emit("room-full", {
+      roomId,
+      maxParticipants: getRoomCapacity(room),
+      message: "This room is full.",
+    });
+  };
+
+  const emitOverflowQueueState = (roomId) => {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    const queueLength = room.overflowQueue.length;
+    room.overflowQueue.forEach((entry, index) => {
+      socket.nsp.to(entry.socketId).emit("room-queue-position", {
+        roomId,
+        position: index + 1,
+        queueLength,
+      });
+    });
+    emitToRoomOwners(room, "room-queue-updated", {
+      roomId,
+      queue: room.overflowQueue.map((entry) => ({
+        peerId: entry.peerId,
+        participantProfile: entry.participantProfile,
+        requestedAt: entry.requestedAt,
+      })),
+    });
+  };
+
+  // `front` keeps the place of a queued peer that lost a race for the seat it was admitted to.
+  const enqueueOverflow = (room, roomId, peerId, { front = false } = {}) => {
+    leaveOverflowQueue();
+
+    const entry = {
+      peerId,
+      socketId: socket.id,
+      participantProfile: buildPeerProfileFromSocket(socket, peerId),
+      requestedAt: Date.now(),
+      admit: () => completeJoin(roomId, peerId, { fromOverflowQueue: true }),
+    };
+    if (front) {
+      room.overflowQueue.unshift(entry);
+    } else {
+      room.overflowQueue.push(entry);
+    }
+    socket.data.overflowRoomId = roomId;
+    emitOverflowQueueState(roomId);
+  };
+
+  const leaveOverflowQueue = () => {
+    const overflowRoomId = socket.data?.overflowRoomId;
+    if (!overflowRoomId) return;
+
+    delete socket.data.overflowRoomId;
+    const room = rooms[overflowRoomId];
+    if (!room) return;
+
+    const queueLength = room.overflowQueue.length;
+    room.overflowQueue = room.overflowQueue.filter((entry) => entry.socketId !== socket.id);
+    if (room.overflowQueue.length !== queueLength) {
+      emitOverflowQueueState(overflowRoomId);
+    }
+  };
+
+  // Hands freed seats to the head of the overflow queue. Each admission re-checks capacity in
+  // `completeJoin`, so a lost race only puts the peer back at the front.
+  const admitFromOverflowQueue = (roomId) => {
+    const room = rooms[roomId];
+    if (!room || room.overflowQueue.length === 0) return;
+
+    const freeSeats = getRoomCapacity(room) - room.participants.length;
+    if (freeSeats <= 0) return;
+
+    const admittedEntries = room.overflowQueue.splice(0, freeSeats);
+    admittedEntries.forEach((entry) => {
+      const queuedSocket = socket.nsp?.sockets?.get(entry.socketId);
+      if (!queuedSocket) return;
+      if (queuedSocket.data?.overflowRoomId === roomId) {
+        delete queuedSocket.data.overflowRoomId;
+      }
+      queuedSocket.emit("room-queue-admitted", { roomId, peerId: entry.peerId });
+      void entry.admit();
+    });
+    emitOverflowQueueState(roomId);
+  };
+
+  const leaveCurrentRoom = ({ reason = "left", transport } = {}) => {
+    leaveLobby();
+    leaveOverflowQueue();
+
     const { roomId, peerId } = getSocketIdentity();
     if (!roomId) return;
 
     if (peerId) {
-      removePeerFromRoom({ roomId, peerId, socketId: socket.id });
+      removePeerFromRoom({ roomId, peerId, socketId: socket.id, reason, transport });
+      void touchPersistedRoom(roomId);
     }
 
     // Socket.IO adapters may implement join/leave asynchronously; treat them as async-capable.
@@ -141,34 +500,311 @@ const roomHandler = (socket) => {
       })
       .finally(() => {
         pruneRoomState(roomId);
+        admitFromOverflowQueue(roomId);
       });
 
     delete socket.data.roomId;
     delete socket.data.peerId;
   };
 
-  const createRoom = async () => {
+  // A held peer may only be resumed by the same account it belonged to; anonymous peers are
+  // matched by peer ID alone, which only admitted participants of the room have seen.
+  const canResumeHeldPeer = (room, peerId) => {
+    const heldEntry = room.reconnecting?.[peerId];
+    if (!heldEntry) return false;
+    if (!heldEntry.authUserId) return true;
+    return heldEntry.authUserId === String(socket.data?.authUserId || "").trim();
+  };
+
+  // Swaps a held peer over to this socket in place, so the rest of the room never sees it leave.
+  const resumeHeldPeer = (room, peerId) => {
+    if (!canResumeHeldPeer(room, peerId)) return false;
+
+    const heldEntry = room.reconnecting[peerId];
+    clearTimeout(heldEntry.timeoutId);
+    delete room.reconnecting[peerId];
+    delete room.socketToPeer[heldEntry.socketId];
+    delete room.peerToSocket[peerId];
+    if (room.ownerSocketId === heldEntry.socketId) {
+      room.ownerSocketId = socket.id;
+    }
+    return true;
+  };
+
+  // `onHold` peers were put on hold to take a direct call; their socket is still connected but
+  // has left the room, and they come back the same way a reconnecting peer does.
+  const holdPeer = (roomId, peerId, { onHold = false } = {}) => {
+    const room = rooms[roomId];
+    const holdMs = onHold ? callHoldMs : reconnectGraceMs;
+    const heldEntry = {
+      socketId: socket.id,
+      authUserId: String(socket.data?.authUserId || "").trim(),
+      since: Date.now(),
+      onHold,
+      timeoutId: null,
+    };
+    heldEntry.timeoutId = setTimeout(() => {
+      const currentRoom = rooms[roomId];
+      if (!isHeldForReconnect(currentRoom || {}, peerId, heldEntry.socketId)) return;
+      removePeerFromRoom({
+        roomId,
+        peerId,
+        socketId: heldEntry.socketId,
+        reason: onHold ? "hold-expired" : "disconnected",
+      });
+      pruneRoomState(roomId);
+      admitFromOverflowQueue(roomId);
+      void touchPersistedRoom(roomId);
+    }, holdMs);
+
+    room.reconnecting[peerId] = heldEntry;
+    if (onHold) {
+      socket.nsp.to(roomId).emit("peer-on-hold", { roomId, peerId, holdMs });
+    } else {
+      socket.nsp.to(roomId).emit("peer-reconnecting", { roomId, peerId, graceMs: holdMs });
+    }
+
+    delete socket.data.roomId;
+    delete socket.data.peerId;
+  };
+
+  // Used by the direct call handler when a call is accepted from inside a room and the callee
+  // chose to keep their seat. Returns the held room, or null when the socket was in no room.
+  const holdCurrentRoomForCall = () => {
+    const { roomId, peerId } = getSocketIdentity();
+    const room = roomId ? rooms[roomId] : null;
+    if (!room || !peerId || room.socketToPeer[socket.id] !== peerId) return null;
+
+    recordPeerEvent(room, "on-hold", peerId);
+    socket.leave(roomId);
+    holdPeer(roomId, peerId, { onHold: true });
+    socket.data.heldRoom = { roomId, peerId };
+    socket.emit("room-on-hold", { roomId, peerId, holdMs: callHoldMs });
+    return { roomId, peerId };
+  };
+
+  // A socket that disconnects while its seat is on hold will not come back for it.
+  const releaseHeldRoom = () => {
+    const { roomId, peerId } = socket.data?.heldRoom || {};
+    delete socket.data?.heldRoom;
+    const room = roomId ? rooms[roomId] : null;
+    if (!room || !isHeldForReconnect(room, peerId, socket.id)) return;
+
+    removePeerFromRoom({ roomId, peerId, socketId: socket.id, reason: "disconnected" });
+    pruneRoomState(roomId);
+    admitFromOverflowQueue(roomId);
+    void touchPersistedRoom(roomId);
+  };
+
+  const handleDisconnect = (reason) => {
+    releaseHeldRoom();
+    const { roomId, peerId } = getSocketIdentity();
+    const room = roomId ? rooms[roomId] : null;
+    const canHold =
+      reconnectGraceMs > 0 &&
+      !INTENTIONAL_DISCONNECT_REASONS.has(reason) &&
+      !!room &&
+      !!peerId &&
+      room.socketToPeer[socket.id] === peerId;
+
+    // The transport reason ("ping timeout", "transport close", ...) is only known here. A peer
+    // that leaves right away gets it on its single "left" entry instead.
+    if (!canHold) {
+      leaveCurrentRoom({ reason: "disconnected", transport: reason });
+      return;
+    }
+
+    recordPeerEvent(room, "disconnected", peerId, { reason, held: true });
+    leaveLobby();
+    leaveOverflowQueue();
+    holdPeer(roomId, peerId);
+  };
+
+  // Rehydrates a room that was persisted before a restart (or dropped from memory after
+  // everyone left). Returns the in-memory state, or null when the room does not exist.
+  const loadRoom = async (roomId) => {
+    if (rooms[roomId]) return rooms[roomId];
+
+    const record = await findPersistedRoom(roomId);
+    if (!record) return null;
+
+    // Another socket may have rehydrated the room while we were waiting on the database.
+    if (!rooms[roomId]) {
+      rooms[roomId] = createRoomState({
+        createdAt: new Date(record.createdAt).getTime(),
+        createdByUserId: record.createdByUserId,
+        ownerUserId: record.ownerUserId,
+        passcodeHash: record.passcodeHash,
+        settings: record.settings,
+      });
+    }
+    return rooms[roomId];
+  };
+
+  const createRoom = async ({ passcode, lobby, maxParticipants, overflowQueue } = {}) => {
     const roomId = UUIDv4();
+    const createdByUserId = String(socket.data?.authUserId || "").trim();
+    const normalizedPasscode = normalizePasscode(passcode);
+    const passcodeHash = normalizedPasscode
+      ? await bcrypt.hash(normalizedPasscode, AuthConfig.AUTH_BCRYPT_ROUNDS)
+      : "";
 
     if (!rooms[roomId]) {
-      rooms[roomId] = createRoomState();
+      rooms[roomId] = createRoomState({
+        createdByUserId,
+        ownerSocketId: socket.id,
+        passcodeHash,
+        settings: {
+          lobbyEnabled: !!lobby,
+          maxParticipants,
+          overflowQueueEnabled: !!overflowQueue,
+        },
+      });
     }
+    await createPersistedRoom({
+      roomId,
+      createdByUserId,
+      passcodeHash,
+      settings: rooms[roomId].settings,
+    });
 
     // Ensure the socket is actually in the adapter room before the client navigates and
     // immediately emits `joined-room` (which can prune empty rooms).
     await socket.join(roomId);
     socket.data.roomId = roomId;
-    socket.emit("room-created", { roomId });
+    socket.emit("room-created", {
+      roomId,
+      hasPasscode: !!passcodeHash,
+      lobbyEnabled: rooms[roomId].settings.lobbyEnabled,
+      maxParticipants: getRoomCapacity(rooms[roomId]),
+      overflowQueueEnabled: rooms[roomId].settings.overflowQueueEnabled,
+    });
   };
 
-  const joinedRoom = async ({ roomId, peerId }) => {
+  // Sockets already registered in the room (e.g. re-emitting `joined-room` with a new peer ID),
+  // the owner and peers resuming within the reconnect grace window skip every admission check.
+  const isAdmissionBypassed = (room, peerId) =>
+    !!room.socketToPeer[socket.id] || isRoomOwner(room) || canResumeHeldPeer(room, peerId);
+
+  const emitInviteInvalid = (roomId, reason) => {
+    socket.emit("room-invite-invalid", {
+      roomId,
+      reason,
+      message: INVITE_REFUSAL_MESSAGES[reason] || "This invite link is not valid.",
+    });
+  };
+
+  // Checks an invite token without spending a use; emits `room-invite-invalid` when it is unusable.
+  const resolveJoinInvite = async (roomId, inviteToken) => {
+    const { invite, reason } = await resolveRoomInvite({
+      roomId,
+      token: inviteToken,
+      secret: AuthConfig.AUTH_JWT_SECRET,
+    });
+    if (invite) return invite;
+
+    emitInviteInvalid(roomId, reason);
+    return null;
+  };
+
+  const checkRoomAdmission = async (room, roomId, peerId, passcode, { invited = false } = {}) => {
+    if (isAdmissionBypassed(room, peerId)) return true;
+
+    // Breakout rooms only take the peers assigned to them; peers coming back from a breakout
+    // return to their main room without going through its lock or passcode again.
+    if (room.breakout) {
+      if (socket.data?.breakoutRoomId === roomId) return true;
+      emitRoomError("You are not assigned to this breakout room.", "breakout-not-assigned");
+      return false;
+    }
+    if (socket.data?.breakoutParentRoomId === roomId) return true;
+
+    if (room.settings.locked) {
+      socket.emit("room-locked", {
+        roomId,
+        message: "This room is locked. No new participants can join.",
+      });
+      return false;
+    }
+
+    // An invite minted by the owner stands in for the passcode.
+    if (!room.passcodeHash || invited) return true;
+
+    const normalizedPasscode = normalizePasscode(passcode);
+    const passcodeValid =
+      !!normalizedPasscode && (await bcrypt.compare(normalizedPasscode, room.passcodeHash));
+    if (!passcodeValid) {
+      socket.emit("room-passcode-invalid", {
+        roomId,
+        reason: normalizedPasscode ? "invalid" : "required",
+        message: normalizedPasscode
+          ? "Incorrect room passcode."
+          : "This room requires a passcode.",
+      });
+      return false;
+    }
+    return true;
+  };
+
+  // Scheduled meetings reserve their room ID ahead of time. Outside the meeting window the join
+  // is refused; inside it the room is created on first join with the organizer as owner.
+  // Returns false when the join was refused.
+  const applyMeetingSchedule = async (roomId) => {
+    if (rooms[roomId]?.socketToPeer[socket.id]) return true;
+
+    const meeting = await findMeetingByRoomId(roomId);
+    if (!meeting) return true;
+
+    const refusal = getMeetingJoinRefusal(meeting);
+    if (refusal) {
+      socket.emit("meeting-join-refused", {
+        roomId,
+        meetingId: meeting.id,
+        reason: refusal.reason,
+        message: refusal.message,
+        startAt: meeting.startAt,
+        endAt: meeting.endAt,
+        joinOpensAt: refusal.joinOpensAt || null,
+      });
+      return false;
+    }
+
+    if (!(await loadRoom(roomId)) && !rooms[roomId]) {
+      rooms[roomId] = createRoomState({
+        createdByUserId: meeting.organizerUserId,
+        ownerSocketId:
+          String(socket.data?.authUserId || "").trim() === meeting.organizerUserId
+            ? socket.id
+            : "",
+      });
+      void createPersistedRoom({
+        roomId,
+        createdByUserId: meeting.organizerUserId,
+        settings: rooms[roomId].settings,
+      });
+    }
+    return true;
+  };
+
+  const joinedRoom = async ({ roomId, peerId, passcode, inviteToken }) => {
     const normalizedRoomId = typeof roomId === "string" ? roomId.trim() : "";
     if (!normalizedRoomId) return;
+    delete socket.data.roomInvite;
+    if (!(await applyMeetingSchedule(normalizedRoomId))) return;
 
-    let room = rooms[normalizedRoomId];
+    let room = await loadRoom(normalizedRoomId);
     if (!room) {
       if (autoCreateOnJoin && isUuidLike(normalizedRoomId)) {
-        rooms[normalizedRoomId] = createRoomState();
+        if (!rooms[normalizedRoomId]) {
+          const createdByUserId = String(socket.data?.authUserId || "").trim();
+          const settings = { autoCreated: true };
+          rooms[normalizedRoomId] = createRoomState({
+            createdByUserId,
+            ownerSocketId: socket.id,
+            settings,
+          });
+          void createPersistedRoom({ roomId: normalizedRoomId, createdByUserId, settings });
+        }
         room = rooms[normalizedRoomId];
       } else {
         socket.emit("room-not-found");
@@ -177,6 +813,88 @@ const roomHandler = (socket) => {
     }
     if (!peerId) return;
 
+    let invite = null;
+    if (inviteToken && !room.breakout && !isAdmissionBypassed(room, peerId)) {
+      invite = await resolveJoinInvite(normalizedRoomId, inviteToken);
+      if (!invite) return;
+    }
+    const admitted = await checkRoomAdmission(room, normalizedRoomId, peerId, passcode, {
+      invited: !!invite,
+    });
+    if (!admitted) return;
+
+    // Without an overflow queue a full room is refused before anyone is bothered in the lobby.
+    if (!hasSeatFor(room, peerId) && !room.settings.overflowQueueEnabled) {
+      emitRoomFull(room, normalizedRoomId);
+      return;
+    }
+
+    // The use is only spent once the peer is actually getting in (or queued for a seat).
+    if (invite) {
+      if (!(await claimRoomInvite(invite.id))) {
+        emitInviteInvalid(normalizedRoomId, "exhausted");
+        return;
+      }
+      socket.data.roomInvite = { roomId: normalizedRoomId, role: invite.role };
+    }
+
+    if (
+      room.settings.lobbyEnabled &&
+      !invite &&
+      !room.socketToPeer[socket.id] &&
+      !isRoomOwner(room) &&
+      !canResumeHeldPeer(room, peerId) &&
+      socket.data?.breakoutParentRoomId !== normalizedRoomId
+    ) {
+      parkInLobby(room, normalizedRoomId, peerId);
+      return;
+    }
+
+    await completeJoin(normalizedRoomId, peerId);
+  };
+
+  const parkInLobby = (room, roomId, peerId) => {
+    const existingEntry = room.lobby[peerId];
+    if (existingEntry?.socketId === socket.id) return;
+    if (existingEntry) {
+      resolveLobbyEntry(roomId, peerId, { admitted: false, reason: "replaced" });
+    }
+    leaveLobby();
+
+    const entry = {
+      peerId,
+      socketId: socket.id,
+      participantProfile: buildPeerProfileFromSocket(socket, peerId),
+      requestedAt: Date.now(),
+      timeoutId: null,
+      admit: () => completeJoin(roomId, peerId),
+    };
+    entry.timeoutId = setTimeout(() => {
+      resolveLobbyEntry(roomId, peerId, { admitted: false, reason: "timeout" });
+    }, lobbyTimeoutMs);
+
+    room.lobby[peerId] = entry;
+    socket.data.lobbyRoomId = roomId;
+    socket.emit("lobby-waiting", { roomId, peerId, timeoutMs: lobbyTimeoutMs });
+    emitToRoomOwners(room, "lobby-knock", buildLobbyKnockPayload(roomId, entry));
+  };
+
+  const completeJoin = async (normalizedRoomId, peerId, { fromOverflowQueue = false } = {}) => {
+    const room = rooms[normalizedRoomId];
+    if (!room) {
+      socket.emit("room-not-found");
+      return;
+    }
+
+    if (!room.socketToPeer[socket.id] && !hasSeatFor(room, peerId)) {
+      if (room.settings.overflowQueueEnabled) {
+        enqueueOverflow(room, normalizedRoomId, peerId, { front: fromOverflowQueue });
+      } else {
+        emitRoomFull(room, normalizedRoomId);
+      }
+      return;
+    }
+
     // Join first so pruning logic doesn't delete a just-created (0 participant) room before
     // we have a chance to register the peer.
     await socket.join(normalizedRoomId);
@@ -184,6 +902,12 @@ const roomHandler = (socket) => {
 
     const previousRoomId = socket.data?.roomId;
     const previousPeerId = socket.data?.peerId;
+    // A viewer re-registering under another peerId skips admission (the socket is already in the
+    // room), so it must not shed the viewer role along with the old peerId.
+    const staysViewer =
+      previousRoomId === normalizedRoomId &&
+      !!previousPeerId &&
+      room.peerRoles[previousPeerId] === "viewer";
     if (
       previousRoomId &&
       previousPeerId &&
@@ -200,6 +924,12 @@ const roomHandler = (socket) => {
       }
     }
 
+    const resumedFromHold = !!room.reconnecting[peerId]?.onHold;
+    const resumed = resumeHeldPeer(room, peerId);
+    if (resumed && socket.data.heldRoom?.roomId === normalizedRoomId) {
+      delete socket.data.heldRoom;
+    }
+
     const existingSocketId = room.peerToSocket[peerId];
     if (existingSocketId && existingSocketId !== socket.id) {
       removePeerFromRoom({
@@ -208,14 +938,7 @@ const roomHandler = (socket) => {
         socketId: existingSocketId,
       });
 
-      const existingSocket = socket.nsp?.sockets?.get(existingSocketId);
-      if (existingSocket) {
-        existingSocket.leave(normalizedRoomId);
-        if (existingSocket.data?.roomId === normalizedRoomId) {
-          delete existingSocket.data.roomId;
-          delete existingSocket.data.peerId;
-        }
-      }
+      detachSocketFromRoom(existingSocketId, normalizedRoomId);
     }
 
     if (!room.participants.includes(peerId)) {
@@ -225,15 +948,61 @@ const roomHandler = (socket) => {
     room.peerToSocket[peerId] = socket.id;
     room.socketToPeer[socket.id] = peerId;
     room.peerProfiles[peerId] = buildPeerProfileFromSocket(socket, peerId);
+    recordTranscriptAttendee(room, peerId, socket);
+    if (socket.data.roomInvite?.roomId === normalizedRoomId) {
+      if (socket.data.roomInvite.role === "viewer") room.peerRoles[peerId] = "viewer";
+      delete socket.data.roomInvite;
+    }
+    if (staysViewer) room.peerRoles[peerId] = "viewer";
+    room.peerRoles[peerId] = resolvePeerRole(room, socket, peerId);
+    recordPeerEvent(
+      room,
+      resumed ? (resumedFromHold ? "resumed" : "reconnected") : "joined",
+      peerId,
+      { role: room.peerRoles[peerId] },
+      socket
+    );
 
     socket.data.roomId = normalizedRoomId;
     socket.data.peerId = peerId;
+    if (socket.data.breakoutParentRoomId === normalizedRoomId && !room.breakouts) {
+      delete socket.data.breakoutRoomId;
+      delete socket.data.breakoutParentRoomId;
+    }
+    void touchPersistedRoom(normalizedRoomId);
 
     socket.emit("get-users", {
       roomId: normalizedRoomId,
       participants: room.participants,
       participantProfiles: buildParticipantProfilesPayload(room),
+      locked: room.settings.locked,
+      lobbyEnabled: room.settings.lobbyEnabled,
+      maxParticipants: getRoomCapacity(room),
+      chatHistory: room.chatHistory,
+      handQueue: buildHandQueuePayload(room),
+      activeSpeaker: buildActiveSpeakerPayload(normalizedRoomId, room),
+      polls: buildOpenPollsPayload(room),
+      files: buildRoomFilesPayload(normalizedRoomId, room, peerId),
+      breakout: room.breakout,
+      breakouts: room.breakouts ? buildBreakoutSummary(room) : null,
     });
+    socket.emit("whiteboard-snapshot", buildWhiteboardSnapshot(normalizedRoomId, room));
+
+    if (resumed) {
+      // `ready` from a resumed peer must not announce it as a new joiner.
+      socket.data.resumedPeerId = peerId;
+      socket.to(normalizedRoomId).emit(resumedFromHold ? "peer-resumed" : "peer-reconnected", {
+        roomId: normalizedRoomId,
+        peerId,
+        participantProfile: buildParticipantProfile(room, peerId),
+      });
+    }
+
+    if (isRoomOwner(room)) {
+      Object.values(room.lobby).forEach((entry) => {
+        socket.emit("lobby-knock", buildLobbyKnockPayload(normalizedRoomId, entry));
+      });
+    }
   };
 
   const ready = () => {
@@ -242,18 +1011,358 @@ const roomHandler = (socket) => {
     pruneRoomState(roomId);
     if (!rooms[roomId]) return;
     if (rooms[roomId].socketToPeer[socket.id] !== peerId) return;
+    if (socket.data.resumedPeerId === peerId) {
+      delete socket.data.resumedPeerId;
+      return;
+    }
 
+    recordPeerEvent(rooms[roomId], "ready", peerId);
     socket.to(roomId).emit("user-joined", {
       peerId,
-      participantProfile: buildPeerProfileFromSocket(socket, peerId),
+      participantProfile: buildParticipantProfile(rooms[roomId], peerId),
     });
   };
 
+  // Resolves the socket's current room for creator-only actions, emitting `room-error` otherwise.
+  const resolveOwnerRoom = () => {
+    const { roomId } = getSocketIdentity();
+    const room = roomId ? rooms[roomId] : null;
+    if (!room) {
+      emitRoomError("Join a room first.", "room-required");
+      return null;
+    }
+
+    if (!isRoomOwner(room)) {
+      emitRoomError("Only the room owner can do that.", "not-room-owner");
+      return null;
+    }
+
+    return { roomId, room };
+  };
+
+  const setRoomLocked = (locked) => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return;
+    const { roomId, room } = resolved;
+
+    room.settings.locked = locked;
+    void updatePersistedRoomSettings(roomId, { locked });
+    socket.nsp.to(roomId).emit("room-lock-changed", { roomId, locked });
+  };
+
+  const setLobbyEnabled = (lobbyEnabled) => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return;
+    const { roomId, room } = resolved;
+
+    room.settings.lobbyEnabled = lobbyEnabled;
+    void updatePersistedRoomSettings(roomId, { lobbyEnabled });
+    socket.nsp.to(roomId).emit("room-lobby-changed", { roomId, lobbyEnabled });
+
+    // Turning the lobby off lets everyone who is still waiting straight in.
+    if (!lobbyEnabled) {
+      Object.keys(room.lobby).forEach((pendingPeerId) => {
+        resolveLobbyEntry(roomId, pendingPeerId, { admitted: true, reason: "lobby-disabled" });
+      });
+    }
+  };
+
+  const setOverflowQueueEnabled = (overflowQueueEnabled) => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return;
+    const { roomId, room } = resolved;
+
+    room.settings.overflowQueueEnabled = overflowQueueEnabled;
+    void updatePersistedRoomSettings(roomId, { overflowQueueEnabled });
+    socket.nsp.to(roomId).emit("room-overflow-queue-changed", { roomId, overflowQueueEnabled });
+
+    // Turning the queue off turns away everyone who is still waiting for a seat.
+    if (!overflowQueueEnabled) {
+      room.overflowQueue.forEach((entry) => {
+        const queuedSocket = socket.nsp?.sockets?.get(entry.socketId);
+        if (!queuedSocket) return;
+        if (queuedSocket.data?.overflowRoomId === roomId) {
+          delete queuedSocket.data.overflowRoomId;
+        }
+        queuedSocket.emit("room-full", {
+          roomId,
+          maxParticipants: getRoomCapacity(room),
+          message: "This room is full.",
+        });
+      });
+      room.overflowQueue = [];
+      emitOverflowQueueState(roomId);
+    }
+  };
+
+  const decideLobbyKnock = (admitted, { peerId } = {}) => {
+    const resolved = resolveOwnerRoom();
+    if (!resolved) return;
+
+    const normalizedPeerId = String(peerId || "").trim();
+    const settled = resolveLobbyEntry(resolved.roomId, normalizedPeerId, {
+      admitted,
+      reason: admitted ? "admitted" : "denied",
+    });
+    if (!settled) {
+      emitRoomError("That participant is no longer waiting in the lobby.", "lobby-entry-not-found");
+    }
+  };
+
+  // Resolves the room this socket is registered in as a peer, emitting `room-error` otherwise.
+  const resolveJoinedRoom = () => {
+    const { roomId, peerId } = getSocketIdentity();
+    const room = roomId ? rooms[roomId] : null;
+    if (!room || !peerId || room.socketToPeer[socket.id] !== peerId) {
+      emitRoomError("Join a room first.", "room-required");
+      return null;
+    }
+    return { roomId, room, peerId };
+  };
+
+  // Resolves the socket's current room and the target peer for moderation actions. Owners can act
+  // on anyone else; moderators only on plain participants.
+  const resolveModerationTarget = (targetPeerId, { ownerOnly = false } = {}) => {
+    const joined = resolveJoinedRoom();
+    if (!joined) return null;
+    const { roomId, room, peerId: actorPeerId } = joined;
+
+    const actorRole = room.peerRoles[actorPeerId];
+    if (ownerOnly && actorRole !== "owner") {
+      emitRoomError("Only the room owner can do that.", "not-room-owner");
+      return null;
+    }
+
+    if (!hasModeratorRole(room, actorPeerId)) {
+      emitRoomError("Only moderators can do that.", "not-room-moderator");
+      return null;
+    }
+
+    const normalizedTargetPeerId = String(targetPeerId || "").trim();
+    const targetSocketId = room.peerToSocket[normalizedTargetPeerId];
+    if (!normalizedTargetPeerId || !targetSocketId) {
+      emitRoomError("That participant is not in the room.", "participant-not-found");
+      return null;
+    }
+
+    if (normalizedTargetPeerId === actorPeerId) {
+      emitRoomError("You cannot do that to yourself.", "self-moderation-not-allowed");
+      return null;
+    }
+
+    const targetRole = room.peerRoles[normalizedTargetPeerId] || "participant";
+    if (actorRole !== "owner" && targetRole !== "participant") {
+      emitRoomError("Moderators can only act on participants.", "insufficient-role");
+      return null;
+    }
+
+    return {
+      roomId,
+      room,
+      actorPeerId,
+      targetPeerId: normalizedTargetPeerId,
+      targetSocketId,
+    };
+  };
+
+  const kickPeer = ({ peerId, reason } = {}) => {
+    const resolved = resolveModerationTarget(peerId);
+    if (!resolved) return;
+    const { roomId, actorPeerId, targetPeerId, targetSocketId } = resolved;
+
+    const kickReason = normalizeProfileText(reason, 256) || undefined;
+    socket.nsp.to(targetSocketId).emit("room-kicked", {
+      roomId,
+      by: actorPeerId,
+      reason: kickReason,
+    });
+    recordPeerEvent(rooms[roomId], "kicked", targetPeerId, { by: actorPeerId, note: kickReason });
+
+    removePeerFromRoom({
+      roomId,
+      peerId: targetPeerId,
+      socketId: targetSocketId,
+      reason: "kicked",
+      notifyActor: true,
+    });
+    detachSocketFromRoom(targetSocketId, roomId);
+    pruneRoomState(roomId);
+    admitFromOverflowQueue(roomId);
+  };
+
+  const requestPeerMute = ({ peerId, kind } = {}) => {
+    const normalizedKind = String(kind || "").trim().toLowerCase();
+    if (!MUTE_KINDS.has(normalizedKind)) {
+      emitRoomError("Select what to mute: audio or video.", "mute-kind-invalid");
+      return;
+    }
+
+    const resolved = resolveModerationTarget(peerId);
+    if (!resolved) return;
+
+    socket.nsp.to(resolved.targetSocketId).emit("room-mute-requested", {
+      roomId: resolved.roomId,
+      kind: normalizedKind,
+      by: resolved.actorPeerId,
+    });
+  };
+
+  const setPeerRole = ({ peerId, role } = {}) => {
+    const normalizedRole = String(role || "").trim().toLowerCase();
+    if (!ROOM_ROLES.has(normalizedRole) || normalizedRole === "owner") {
+      emitRoomError("Select a role: moderator, participant or viewer.", "role-invalid");
+      return;
+    }
+
+    const resolved = resolveModerationTarget(peerId, { ownerOnly: true });
+    if (!resolved) return;
+    const { roomId, room, targetPeerId, targetSocketId } = resolved;
+
+    const targetUserId = String(
+      socket.nsp.sockets.get(targetSocketId)?.data?.authUserId || ""
+    ).trim();
+    if (normalizedRole === "moderator") {
+      room.peerRoles[targetPeerId] = "moderator";
+      if (targetUserId) room.moderatorUserIds.add(targetUserId);
+    } else {
+      room.peerRoles[targetPeerId] = normalizedRole;
+      if (targetUserId) room.moderatorUserIds.delete(targetUserId);
+    }
+    refreshPeerRoles(roomId);
+  };
+
+  const transferOwnership = ({ peerId } = {}) => {
+    const resolved = resolveModerationTarget(peerId, { ownerOnly: true });
+    if (!resolved) return;
+    const { roomId, room, actorPeerId, targetPeerId, targetSocketId } = resolved;
+
+    const previousOwnerUserId = String(socket.data?.authUserId || "").trim();
+    const nextOwnerUserId = String(
+      socket.nsp.sockets.get(targetSocketId)?.data?.authUserId || ""
+    ).trim();
+
+    room.ownerUserId = nextOwnerUserId;
+    room.ownerSocketId = targetSocketId;
+    // The previous owner stays on as a moderator.
+    room.peerRoles[actorPeerId] = "moderator";
+    if (previousOwnerUserId) room.moderatorUserIds.add(previousOwnerUserId);
+    if (nextOwnerUserId) room.moderatorUserIds.delete(nextOwnerUserId);
+
+    void updatePersistedRoomOwner(roomId, nextOwnerUserId);
+    refreshPeerRoles(roomId);
+  };
+
+  const { sendChatMessage, emitChatHistory } = createRoomChatHandlers({
+    socket,
+    resolveJoinedRoom,
+    emitRoomError,
+    buildParticipantProfile,
+  });
+
+  const { raiseHand, lowerHand, clearHandQueue, sendReaction } = createRoomReactionHandlers({
+    socket,
+    resolveJoinedRoom,
+    emitRoomError,
+    hasModeratorRole,
+  });
+
+  const { reportAudioLevel, setSpotlight, clearSpotlight } = createRoomSpeakerHandlers({
+    socket,
+    resolveJoinedRoom,
+    emitRoomError,
+    hasModeratorRole,
+  });
+
+  const { applyWhiteboardOp, emitWhiteboardSnapshot, clearWhiteboard, setWhiteboardLocked } =
+    createRoomWhiteboardHandlers({
+      socket,
+      resolveJoinedRoom,
+      emitRoomError,
+      hasModeratorRole,
+    });
+
+  const { createPoll, votePoll, closePoll } = createRoomPollHandlers({
+    socket,
+    rooms,
+    resolveJoinedRoom,
+    emitRoomError,
+    hasModeratorRole,
+    buildParticipantProfile,
+  });
+
+  const { addTranscriptSegment } = createRoomTranscriptHandlers({
+    socket,
+    resolveJoinedRoom,
+    emitRoomError,
+    hasModeratorRole,
+  });
+
+  const { requestFileUpload } = createRoomFileHandlers({
+    socket,
+    resolveJoinedRoom,
+    emitRoomError,
+  });
+
+  const {
+    startBreakouts,
+    broadcastToBreakouts,
+    recallBreakouts,
+    handleBreakoutRoomClosed,
+    buildBreakoutSummary,
+  } = createRoomBreakoutHandlers({
+    socket,
+    rooms,
+    createRoomState,
+    resolveOwnerRoom,
+    emitRoomError,
+    buildParticipantProfile,
+    pruneRoomState,
+  });
+
   socket.on("create-room", createRoom);
   socket.on("joined-room", joinedRoom);
   socket.on("ready", ready);
-  socket.on("leave-room", leaveCurrentRoom);
-  socket.on("disconnect", leaveCurrentRoom);
+  socket.on("lock-room", () => setRoomLocked(true));
+  socket.on("unlock-room", () => setRoomLocked(false));
+  socket.on("enable-lobby", () => setLobbyEnabled(true));
+  socket.on("disable-lobby", () => setLobbyEnabled(false));
+  socket.on("enable-overflow-queue", () => setOverflowQueueEnabled(true));
+  socket.on("disable-overflow-queue", () => setOverflowQueueEnabled(false));
+  socket.on("lobby-admit", (payload) => decideLobbyKnock(true, payload));
+  socket.on("lobby-deny", (payload) => decideLobbyKnock(false, payload));
+  socket.on("room-set-role", setPeerRole);
+  socket.on("room-kick", kickPeer);
+  socket.on("room-mute-request", requestPeerMute);
+  socket.on("room-transfer-ownership", transferOwnership);
+  socket.on("room-chat-send", sendChatMessage);
+  socket.on("room-chat-history", emitChatHistory);
+  socket.on("room-hand-raise", raiseHand);
+  socket.on("room-hand-lower", lowerHand);
+  socket.on("room-hand-queue-clear", clearHandQueue);
+  socket.on("room-reaction", sendReaction);
+  socket.on("room-audio-level", reportAudioLevel);
+  socket.on("room-spotlight", setSpotlight);
+  socket.on("room-spotlight-clear", clearSpotlight);
+  socket.on("whiteboard-op", applyWhiteboardOp);
+  socket.on("whiteboard-sync", emitWhiteboardSnapshot);
+  socket.on("whiteboard-clear", clearWhiteboard);
+  socket.on("whiteboard-lock", () => setWhiteboardLocked(true));
+  socket.on("whiteboard-unlock", () => setWhiteboardLocked(false));
+  socket.on("poll-create", createPoll);
+  socket.on("poll-vote", votePoll);
+  socket.on("poll-close", closePoll);
+  socket.on("room-transcript-segment", addTranscriptSegment);
+  socket.on("room-file-upload-request", requestFileUpload);
+  socket.on("breakout-start", startBreakouts);
+  socket.on("breakout-broadcast", broadcastToBreakouts);
+  socket.on("breakout-recall", recallBreakouts);
+  socket.on("leave-room", () => leaveCurrentRoom());
+  socket.on("disconnect", handleDisconnect);
+
+  return {
+    holdCurrentRoomForCall,
+    leaveCurrentRoom,
+  };
 };
 
 export default roomHandler;
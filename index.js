@@ -6,7 +6,11 @@ import { registerServerLifecycle } from "./server/lifecycle.js";
 import { createSocketServer } from "./server/socketServer.js";
 import { connectDatabase, getDatabaseState } from "./database/connectDatabase.js";
 import { createAuthRuntime } from "./modules/auth/runtime/createAuthRuntime.js";
+import { createRoomAdmin } from "./handlers/room/admin.js";
+import { createRoomFileSharing } from "./handlers/room/files.js";
 import { createAuthPresenceStore } from "./realtime/authPresenceStore.js";
+import { createMeetingStartNotifier } from "./realtime/meetingStartNotifier.js";
+import { createPresenceIdleMonitor } from "./realtime/presenceIdleMonitor.js";
 import { createApp } from "./server/createApp.js";
 
 dotenv.config();
@@ -17,10 +21,18 @@ const startServer = async () => {
   const authRuntime = createAuthRuntime({
     dbState: getDatabaseState(),
   });
-  const app = createApp({ authRuntime, presenceStore });
+  const roomAdmin = createRoomAdmin();
+  const roomFiles = createRoomFileSharing();
+  const app = createApp({ authRuntime, presenceStore, roomAdmin, roomFiles });
 
   const server = http.createServer(app);
-  createSocketServer(server, { authRuntime, presenceStore });
+  const io = createSocketServer(server, { authRuntime, presenceStore });
+  roomAdmin.attach(io);
+  roomFiles.attach(io);
+  if (authRuntime.enabled) {
+    createMeetingStartNotifier({ io, presenceStore }).start();
+    createPresenceIdleMonitor({ io, presenceStore }).start();
+  }
 
   const peerServer = ExpressPeerServer(server, {
     path: "/myapp",
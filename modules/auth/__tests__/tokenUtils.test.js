@@ -0,0 +1,67 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  createAccessToken,
+  createGuestToken,
+  createRoomInviteToken,
+  verifyAccessToken,
+  verifyGuestToken,
+  verifyRoomInviteToken,
+} from "../utils/tokenUtils.js";
+
+const SECRET = "test-secret";
+
+const makeInviteToken = (overrides = {}) =>
+  createRoomInviteToken({
+    inviteId: "invite-1",
+    roomId: "room-1",
+    role: "viewer",
+    secret: SECRET,
+    expiresIn: 60,
+    ...overrides,
+  });
+
+describe("tokenUtils", () => {
+  it("round-trips a room invite token", () => {
+    const decoded = verifyRoomInviteToken({ token: makeInviteToken(), secret: SECRET });
+
+    expect(decoded.sub).toBe("invite-1");
+    expect(decoded.roomId).toBe("room-1");
+    expect(decoded.role).toBe("viewer");
+  });
+
+  it("rejects an invite token presented as an access token", () => {
+    expect(() => verifyAccessToken({ token: makeInviteToken(), secret: SECRET })).toThrow();
+  });
+
+  it("rejects an access token presented as an invite token", () => {
+    const accessToken = createAccessToken({
+      userId: "user-1",
+      email: "user@example.com",
+      secret: SECRET,
+      expiresIn: 60,
+    });
+
+    expect(() => verifyRoomInviteToken({ token: accessToken, secret: SECRET })).toThrow();
+  });
+
+  it("keeps guest tokens apart from access tokens", () => {
+    const guestToken = createGuestToken({
+      guestId: "guest-1",
+      displayName: "  Visitor ",
+      secret: SECRET,
+      expiresIn: 60,
+    });
+
+    expect(verifyGuestToken({ token: guestToken, secret: SECRET })).toMatchObject({
+      sub: "guest-1",
+      displayName: "Visitor",
+    });
+    expect(() => verifyAccessToken({ token: guestToken, secret: SECRET })).toThrow();
+  });
+
+  it("rejects an expired invite token", () => {
+    const token = makeInviteToken({ expiresIn: -10 });
+
+    expect(() => verifyRoomInviteToken({ token, secret: SECRET })).toThrow(/expired/);
+  });
+});
@@ -0,0 +1,16 @@
+import AuthConfig from "../../../config/authConfig.js";
+
+export const isAdminEmail = (email) =>
+  AuthConfig.AUTH_ADMIN_EMAILS.includes(String(email || "").trim().toLowerCase());
+
+// Must run after `requireAuth`, which sets `req.auth`.
+export const requireAdmin = (req, res, next) => {
+  if (!isAdminEmail(req.auth?.email)) {
+    res.status(403).json({
+      error: "admin-required",
+      message: "Only administrators can do that.",
+    });
+    return;
+  }
+  next();
+};
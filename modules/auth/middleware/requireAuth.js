@@ -1,6 +1,6 @@
 import { verifyAccessToken } from "../utils/tokenUtils.js";
 
-const readBearerToken = (authorizationHeader) => {
+export const readBearerToken = (authorizationHeader) => {
   const raw = String(authorizationHeader || "").trim();
   if (!raw) return "";
   const [scheme, token] = raw.split(/\s+/, 2);
@@ -20,6 +20,11 @@ const userSchema = new mongoose.Schema(
       required: true,
       select: false,
     },
+    // When the user's last device disconnected; shown in the directory while they are offline.
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -72,6 +72,22 @@ export const createAuthRouter = (authRuntime) => {
     }
   });
 
+  router.post("/guest", async (req, res) => {
+    if (!authRuntime?.enabled) {
+      respondAuthUnavailable(res, authRuntime);
+      return;
+    }
+
+    try {
+      const result = await authRuntime.joinAsGuest({
+        displayName: parseBody(req.body).displayName,
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      handleAuthError(res, error);
+    }
+  });
+
   router.get("/me", requireAuth(authRuntime), async (req, res) => {
     try {
       const user = await authRuntime.getUserById(req.auth.userId);
@@ -1,6 +1,7 @@
 import AuthConfig from "../../../config/authConfig.js";
-import { createAccessToken } from "../utils/tokenUtils.js";
+import { createAccessToken, createGuestToken } from "../utils/tokenUtils.js";
 import {
+  createGuestIdentity,
   createUserWithPassword,
   getPublicUserById,
   loginUserWithPassword,
@@ -41,6 +42,16 @@ export const createAuthRuntime = ({ dbState }) => {
       const token = issueAccessToken(user);
       return { user, token };
     },
+    async joinAsGuest(payload) {
+      const guest = createGuestIdentity(payload);
+      const token = createGuestToken({
+        guestId: guest.id,
+        displayName: guest.displayName,
+        secret: AuthConfig.AUTH_JWT_SECRET,
+        expiresIn: AuthConfig.AUTH_GUEST_TOKEN_EXPIRES_IN,
+      });
+      return { guest, token };
+    },
     async getUserById(userId) {
       return getPublicUserById(userId);
     },
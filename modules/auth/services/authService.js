@@ -1,5 +1,7 @@
 import bcrypt from "bcryptjs";
+import { v4 as UUIDv4 } from "uuid";
 import AuthConfig from "../../../config/authConfig.js";
+import { getDatabaseState } from "../../../database/connectDatabase.js";
 import { AuthServiceError } from "../AuthServiceError.js";
 import User from "../models/User.js";
 
@@ -17,6 +19,22 @@ const normalizeDisplayName = (value) => {
   return displayName.slice(0, 64);
 };
 
+const validateDisplayName = (displayName) => {
+  if (!displayName) {
+    throw new AuthServiceError("Display name is required.", {
+      status: 400,
+      code: "display-name-required",
+    });
+  }
+
+  if (!AuthConfig.AUTH_RELAXED_VALIDATION && displayName.length < 2) {
+    throw new AuthServiceError("Display name must be at least 2 characters.", {
+      status: 400,
+      code: "display-name-too-short",
+    });
+  }
+};
+
 const validateSignupPayload = ({ email, password, displayName }) => {
   if (!String(email || "").trim()) {
     throw new AuthServiceError("Email is required.", {
@@ -40,19 +58,7 @@ const validateSignupPayload = ({ email, password, displayName }) => {
     );
   }
 
-  if (!displayName) {
-    throw new AuthServiceError("Display name is required.", {
-      status: 400,
-      code: "display-name-required",
-    });
-  }
-
-  if (!AuthConfig.AUTH_RELAXED_VALIDATION && displayName.length < 2) {
-    throw new AuthServiceError("Display name must be at least 2 characters.", {
-      status: 400,
-      code: "display-name-too-short",
-    });
-  }
+  validateDisplayName(displayName);
 };
 
 export const createUserWithPassword = async ({ email, password, displayName }) => {
@@ -116,3 +122,26 @@ export const getPublicUserById = async (userId) => {
   if (!user) return null;
   return user.toPublicJSON();
 };
+
+// Called by the presence handler when a user's last socket disconnects. Best-effort: the
+// directory simply shows an older time when the write fails.
+export const recordUserLastSeen = async (userId, lastSeenAt = new Date()) => {
+  if (!userId || !getDatabaseState().connected) return;
+  try {
+    await User.updateOne({ _id: userId }, { $set: { lastSeenAt } });
+  } catch (error) {
+    console.error("[auth] last seen update failed:", error?.message || error);
+  }
+};
+
+// Guests have no account: the identity only lives inside the short-lived guest token.
+export const createGuestIdentity = ({ displayName }) => {
+  const normalizedDisplayName = normalizeDisplayName(displayName);
+  validateDisplayName(normalizedDisplayName);
+
+  return {
+    id: `guest-${UUIDv4()}`,
+    displayName: normalizedDisplayName,
+    guest: true,
+  };
+};
@@ -1,5 +1,21 @@
 import jwt from "jsonwebtoken";
 
+export const ACCESS_TOKEN_TYPE = "access";
+export const ROOM_INVITE_TOKEN_TYPE = "room-invite";
+export const GUEST_TOKEN_TYPE = "guest";
+export const ROOM_FILE_UPLOAD_TOKEN_TYPE = "room-file-upload";
+export const ROOM_FILE_TOKEN_TYPE = "room-file";
+
+// Every token is signed with the same secret, so verification must also pin the `type` claim;
+// otherwise a room invite or guest token could be replayed as an access token.
+const verifyTypedToken = ({ token, secret, type }) => {
+  const decoded = jwt.verify(token, secret);
+  if (decoded?.type !== type) {
+    throw new jwt.JsonWebTokenError("unexpected token type");
+  }
+  return decoded;
+};
+
 export const createAccessToken = ({
   userId,
   email,
@@ -12,7 +28,7 @@ export const createAccessToken = ({
       sub: userId,
       email,
       displayName: String(displayName || "").trim(),
-      type: "access",
+      type: ACCESS_TOKEN_TYPE,
     },
     secret,
     {
@@ -22,5 +38,81 @@ export const createAccessToken = ({
 };
 
 export const verifyAccessToken = ({ token, secret }) => {
-  return jwt.verify(token, secret);
+  return verifyTypedToken({ token, secret, type: ACCESS_TOKEN_TYPE });
+};
+
+export const createRoomInviteToken = ({ inviteId, roomId, role, secret, expiresIn }) => {
+  return jwt.sign(
+    {
+      sub: inviteId,
+      roomId,
+      role,
+      type: ROOM_INVITE_TOKEN_TYPE,
+    },
+    secret,
+    {
+      expiresIn,
+    }
+  );
+};
+
+export const verifyRoomInviteToken = ({ token, secret }) => {
+  return verifyTypedToken({ token, secret, type: ROOM_INVITE_TOKEN_TYPE });
+};
+
+export const createGuestToken = ({ guestId, displayName, secret, expiresIn }) => {
+  return jwt.sign(
+    {
+      sub: guestId,
+      displayName: String(displayName || "").trim(),
+      type: GUEST_TOKEN_TYPE,
+    },
+    secret,
+    {
+      expiresIn,
+    }
+  );
+};
+
+export const verifyGuestToken = ({ token, secret }) => {
+  return verifyTypedToken({ token, secret, type: GUEST_TOKEN_TYPE });
+};
+
+// Upload tickets are bound to the peer's current socket, so they stop working once it leaves.
+export const createRoomFileUploadToken = ({ roomId, peerId, socketId, secret, expiresIn }) => {
+  return jwt.sign(
+    {
+      roomId,
+      peerId,
+      socketId,
+      type: ROOM_FILE_UPLOAD_TOKEN_TYPE,
+    },
+    secret,
+    {
+      expiresIn,
+    }
+  );
+};
+
+export const verifyRoomFileUploadToken = ({ token, secret }) => {
+  return verifyTypedToken({ token, secret, type: ROOM_FILE_UPLOAD_TOKEN_TYPE });
+};
+
+export const createRoomFileToken = ({ fileId, roomId, peerId, secret, expiresIn }) => {
+  return jwt.sign(
+    {
+      sub: fileId,
+      roomId,
+      peerId,
+      type: ROOM_FILE_TOKEN_TYPE,
+    },
+    secret,
+    {
+      expiresIn,
+    }
+  );
+};
+
+export const verifyRoomFileToken = ({ token, secret }) => {
+  return verifyTypedToken({ token, secret, type: ROOM_FILE_TOKEN_TYPE });
 };
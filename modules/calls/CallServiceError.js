@@ -0,0 +1,8 @@
+export class CallServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message || "Call error");
+    this.name = "CallServiceError";
+    this.status = Number.isInteger(options.status) ? options.status : 400;
+    this.code = String(options.code || "call-error");
+  }
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+
+// ---------------------------------------------------------------------------
+// Mock the call record service before importing the app
+// ---------------------------------------------------------------------------
+jest.unstable_mockModule("../services/callRecordService.js", () => ({
+  recordCallOutcome: jest.fn(),
+  listCallHistory: jest.fn(),
+  listMissedCalls: jest.fn(),
+  markMissedCallsSeen: jest.fn(),
+  getMissedCallsSummary: jest.fn(),
+}));
+
+// Dynamic imports after mocking
+const { listCallHistory, listMissedCalls, markMissedCallsSeen } = await import(
+  "../services/callRecordService.js"
+);
+const { CallServiceError } = await import("../CallServiceError.js");
+const { createAccessToken } = await import("../../auth/utils/tokenUtils.js");
+const { createApp } = await import("../../../server/createApp.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const JWT_SECRET = "test-secret";
+const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const MOCK_CALL = {
+  requestId: "0b7c7e0a-3f0e-4d5b-9a43-5a1f2c3d4e5f",
+  direction: "incoming",
+  callerUserId: "64b7f0c2a1b2c3d4e5f60799",
+  targetUserId: USER_ID,
+  mode: "video",
+  outcome: "timeout",
+  roomId: "2f1b7c1e-8a4d-4c3b-9f0e-6d5a4b3c2d1e",
+  requestedAt: "2030-01-01T10:00:00.000Z",
+  endedAt: "2030-01-01T10:00:30.000Z",
+  seenAt: null,
+};
+
+const makeApp = () =>
+  createApp({
+    authRuntime: { enabled: true, jwtSecret: JWT_SECRET },
+    presenceStore: null,
+  });
+
+const authHeader = () =>
+  `Bearer ${createAccessToken({
+    userId: USER_ID,
+    email: "user@example.com",
+    secret: JWT_SECRET,
+    expiresIn: "5m",
+  })}`;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("/api/calls", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    listCallHistory.mockResolvedValue([MOCK_CALL]);
+    listMissedCalls.mockResolvedValue([MOCK_CALL]);
+    markMissedCallsSeen.mockResolvedValue(1);
+  });
+
+  it("requires authentication", async () => {
+    const res = await request(makeApp()).get("/api/calls/history");
+
+    expect(res.status).toBe(401);
+    expect(listCallHistory).not.toHaveBeenCalled();
+  });
+
+  it("returns the caller's history with paging options", async () => {
+    const res = await request(makeApp())
+      .get("/api/calls/history?limit=10&before=2030-01-02T00:00:00.000Z")
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.calls).toEqual([MOCK_CALL]);
+    expect(listCallHistory).toHaveBeenCalledWith(USER_ID, {
+      limit: "10",
+      before: "2030-01-02T00:00:00.000Z",
+    });
+  });
+
+  it("maps invalid paging to a 400", async () => {
+    listCallHistory.mockRejectedValue(
+      new CallServiceError("limit must be between 1 and 200.", {
+        status: 400,
+        code: "limit-invalid",
+      })
+    );
+
+    const res = await request(makeApp())
+      .get("/api/calls/history?limit=0")
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("limit-invalid");
+  });
+
+  it("lists missed calls, optionally only unseen ones", async () => {
+    const res = await request(makeApp())
+      .get("/api/calls/missed?unseen=true")
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.calls).toEqual([MOCK_CALL]);
+    expect(listMissedCalls).toHaveBeenCalledWith(USER_ID, {
+      limit: undefined,
+      before: undefined,
+      unseenOnly: true,
+    });
+  });
+
+  it("marks missed calls as seen", async () => {
+    const res = await request(makeApp())
+      .post("/api/calls/missed/seen")
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toBe(1);
+    expect(markMissedCallsSeen).toHaveBeenCalledWith(USER_ID);
+  });
+});
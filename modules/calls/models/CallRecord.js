@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+export const CALL_OUTCOMES = [
+  "accepted",
+  "rejected",
+  "timeout",
+  "cancelled",
+  "offline",
+  "busy",
+  "dnd",
+];
+
+// Outcomes that count as a missed call for the person being called.
+export const MISSED_CALL_OUTCOMES = ["timeout", "cancelled", "offline", "busy", "dnd"];
+
+const callRecordSchema = new mongoose.Schema(
+  {
+    // Shared by every invitee of a group call; each invitee gets their own record.
+    requestId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    callerUserId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    targetUserId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    mode: {
+      type: String,
+      enum: ["audio", "video"],
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: CALL_OUTCOMES,
+      required: true,
+    },
+    // Finer detail than the outcome, e.g. "caller-disconnected" for a cancelled call.
+    reason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    roomId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    requestedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      required: true,
+    },
+    // Set once the target has seen a missed call, so it is no longer in their summary.
+    seenAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+callRecordSchema.index({ requestId: 1, targetUserId: 1 }, { unique: true });
+callRecordSchema.index({ targetUserId: 1, outcome: 1, requestedAt: -1 });
+
+callRecordSchema.methods.toPublicJSON = function toPublicJSON(viewerUserId = "") {
+  return {
+    requestId: this.requestId,
+    direction: this.callerUserId === viewerUserId ? "outgoing" : "incoming",
+    callerUserId: this.callerUserId,
+    targetUserId: this.targetUserId,
+    mode: this.mode,
+    outcome: this.outcome,
+    reason: this.reason || undefined,
+    roomId: this.roomId,
+    requestedAt: this.requestedAt,
+    endedAt: this.endedAt,
+    seenAt: this.seenAt,
+  };
+};
+
+const CallRecord = mongoose.models.CallRecord || mongoose.model("CallRecord", callRecordSchema);
+
+export default CallRecord;
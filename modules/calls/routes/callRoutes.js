@@ -0,0 +1,65 @@
+import { Router } from "express";
+import { requireAuth } from "../../auth/middleware/requireAuth.js";
+import { CallServiceError } from "../CallServiceError.js";
+import {
+  listCallHistory,
+  listMissedCalls,
+  markMissedCallsSeen,
+} from "../services/callRecordService.js";
+
+const handleCallError = (res, error) => {
+  if (error instanceof CallServiceError) {
+    res.status(error.status).json({
+      error: error.code,
+      message: error.message,
+    });
+    return;
+  }
+
+  console.error("[calls] unexpected error:", error);
+  res.status(500).json({
+    error: "internal-error",
+    message: "Unexpected server error.",
+  });
+};
+
+export const createCallRouter = ({ authRuntime }) => {
+  const router = Router();
+  router.use(requireAuth(authRuntime));
+
+  router.get("/history", async (req, res) => {
+    try {
+      const calls = await listCallHistory(req.auth.userId, {
+        limit: req.query?.limit,
+        before: req.query?.before,
+      });
+      res.json({ calls });
+    } catch (error) {
+      handleCallError(res, error);
+    }
+  });
+
+  router.get("/missed", async (req, res) => {
+    try {
+      const calls = await listMissedCalls(req.auth.userId, {
+        limit: req.query?.limit,
+        before: req.query?.before,
+        unseenOnly: String(req.query?.unseen || "").trim().toLowerCase() === "true",
+      });
+      res.json({ calls });
+    } catch (error) {
+      handleCallError(res, error);
+    }
+  });
+
+  router.post("/missed/seen", async (req, res) => {
+    try {
+      const updated = await markMissedCallsSeen(req.auth.userId);
+      res.json({ updated });
+    } catch (error) {
+      handleCallError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,160 @@
+import { getDatabaseState } from "../../../database/connectDatabase.js";
+import { CallServiceError } from "../CallServiceError.js";
+import CallRecord, { MISSED_CALL_OUTCOMES } from "../models/CallRecord.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SUMMARY_CALL_LIMIT = 5;
+const CONTACT_LOOKBACK_CALLS = 500;
+
+const normalizeId = (value) => String(value || "").trim();
+
+const normalizeLimit = (value) => {
+  if (value === undefined || value === null || value === "") return DEFAULT_PAGE_SIZE;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > MAX_PAGE_SIZE) {
+    throw new CallServiceError(`limit must be between 1 and ${MAX_PAGE_SIZE}.`, {
+      status: 400,
+      code: "limit-invalid",
+    });
+  }
+  return parsed;
+};
+
+// `before` pages backwards through history by request time.
+const normalizeBefore = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new CallServiceError("before must be a valid date.", {
+      status: 400,
+      code: "before-invalid",
+    });
+  }
+  return date;
+};
+
+const buildMissedFilter = (userId) => ({
+  targetUserId: normalizeId(userId),
+  outcome: { $in: MISSED_CALL_OUTCOMES },
+});
+
+// Called by the direct call handler once a request is settled. Best-effort: a failed write must
+// never break the call itself.
+export const recordCallOutcome = async ({
+  requestId,
+  callerUserId,
+  targetUserId,
+  mode,
+  roomId = "",
+  outcome,
+  reason = "",
+  requestedAt,
+  endedAt = Date.now(),
+}) => {
+  if (!getDatabaseState().connected) return null;
+
+  try {
+    const record = await CallRecord.create({
+      requestId: normalizeId(requestId),
+      callerUserId: normalizeId(callerUserId),
+      targetUserId: normalizeId(targetUserId),
+      mode,
+      roomId: normalizeId(roomId),
+      outcome,
+      reason: normalizeId(reason),
+      requestedAt: new Date(requestedAt),
+      endedAt: new Date(endedAt),
+    });
+    return record.toPublicJSON(record.callerUserId);
+  } catch (error) {
+    console.error("[calls] record failed:", error?.message || error);
+    return null;
+  }
+};
+
+export const listCallHistory = async (userId, { limit, before } = {}) => {
+  const normalizedUserId = normalizeId(userId);
+  const normalizedBefore = normalizeBefore(before);
+  const filter = {
+    $or: [{ callerUserId: normalizedUserId }, { targetUserId: normalizedUserId }],
+  };
+  if (normalizedBefore) filter.requestedAt = { $lt: normalizedBefore };
+
+  const calls = await CallRecord.find(filter)
+    .sort({ requestedAt: -1 })
+    .limit(normalizeLimit(limit));
+  return calls.map((call) => call.toPublicJSON(normalizedUserId));
+};
+
+export const listMissedCalls = async (userId, { limit, before, unseenOnly = false } = {}) => {
+  const normalizedUserId = normalizeId(userId);
+  const normalizedBefore = normalizeBefore(before);
+  const filter = buildMissedFilter(normalizedUserId);
+  if (normalizedBefore) filter.requestedAt = { $lt: normalizedBefore };
+  if (unseenOnly) filter.seenAt = null;
+
+  const calls = await CallRecord.find(filter)
+    .sort({ requestedAt: -1 })
+    .limit(normalizeLimit(limit));
+  return calls.map((call) => call.toPublicJSON(normalizedUserId));
+};
+
+export const markMissedCallsSeen = async (userId) => {
+  const result = await CallRecord.updateMany(
+    { ...buildMissedFilter(userId), seenAt: null },
+    { $set: { seenAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+// Unseen missed calls, for the `missed-calls-summary` event sent when a user comes online.
+// Returns null when there is nothing to report or the lookup fails.
+export const getMissedCallsSummary = async (userId) => {
+  if (!getDatabaseState().connected) return null;
+
+  try {
+    const filter = { ...buildMissedFilter(userId), seenAt: null };
+    const [count, calls] = await Promise.all([
+      CallRecord.countDocuments(filter),
+      CallRecord.find(filter).sort({ requestedAt: -1 }).limit(SUMMARY_CALL_LIMIT),
+    ]);
+    if (count === 0) return null;
+
+    return {
+      count,
+      calls: calls.map((call) => call.toPublicJSON(normalizeId(userId))),
+    };
+  } catch (error) {
+    console.error("[calls] missed summary failed:", error?.message || error);
+    return null;
+  }
+};
+
+// People the user has called or been called by, most recent first. Used as the user's contacts
+// for presence updates. Returns an empty list when the lookup fails.
+export const listCallContactIds = async (userId, { limit = 200 } = {}) => {
+  const normalizedUserId = normalizeId(userId);
+  if (!normalizedUserId || !getDatabaseState().connected) return [];
+
+  try {
+    const calls = await CallRecord.find({
+      $or: [{ callerUserId: normalizedUserId }, { targetUserId: normalizedUserId }],
+    })
+      .sort({ requestedAt: -1 })
+      .limit(CONTACT_LOOKBACK_CALLS)
+      .select("callerUserId targetUserId")
+      .lean();
+
+    const contactIds = new Set();
+    calls.forEach((call) => {
+      contactIds.add(
+        call.callerUserId === normalizedUserId ? call.targetUserId : call.callerUserId
+      );
+    });
+    return [...contactIds].slice(0, limit);
+  } catch (error) {
+    console.error("[calls] contact lookup failed:", error?.message || error);
+    return [];
+  }
+};
@@ -0,0 +1,8 @@
+export class MeetingServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message || "Meeting error");
+    this.name = "MeetingServiceError";
+    this.status = Number.isInteger(options.status) ? options.status : 400;
+    this.code = String(options.code || "meeting-error");
+  }
+}
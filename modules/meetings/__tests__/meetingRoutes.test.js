@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+
+// ---------------------------------------------------------------------------
+// Mock the meeting service before importing the app
+// ---------------------------------------------------------------------------
+jest.unstable_mockModule("../services/meetingService.js", () => ({
+  createMeeting: jest.fn(),
+  listMeetingsForUser: jest.fn(),
+  getMeetingForUser: jest.fn(),
+  updateMeeting: jest.fn(),
+  cancelMeeting: jest.fn(),
+  findMeetingByRoomId: jest.fn(),
+  getMeetingJoinRefusal: jest.fn(),
+  claimStartedMeetings: jest.fn(),
+}));
+
+// Dynamic imports after mocking
+const { createMeeting, listMeetingsForUser, cancelMeeting } = await import(
+  "../services/meetingService.js"
+);
+const { MeetingServiceError } = await import("../MeetingServiceError.js");
+const { createAccessToken } = await import("../../auth/utils/tokenUtils.js");
+const { createApp } = await import("../../../server/createApp.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const JWT_SECRET = "test-secret";
+const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const MOCK_MEETING = {
+  id: "64b7f0c2a1b2c3d4e5f60799",
+  title: "Weekly sync",
+  organizerUserId: USER_ID,
+  inviteeUserIds: [],
+  startAt: "2030-01-01T10:00:00.000Z",
+  endAt: "2030-01-01T11:00:00.000Z",
+  roomId: "2f1b7c1e-8a4d-4c3b-9f0e-6d5a4b3c2d1e",
+  status: "scheduled",
+};
+
+const makeApp = () =>
+  createApp({
+    authRuntime: { enabled: true, jwtSecret: JWT_SECRET },
+    presenceStore: null,
+  });
+
+const authHeader = () =>
+  `Bearer ${createAccessToken({
+    userId: USER_ID,
+    email: "organizer@example.com",
+    secret: JWT_SECRET,
+    expiresIn: "5m",
+  })}`;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("/api/meetings", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("returns 401 without a bearer token", async () => {
+    const res = await request(makeApp()).get("/api/meetings");
+
+    expect(res.status).toBe(401);
+    expect(listMeetingsForUser).not.toHaveBeenCalled();
+  });
+
+  it("creates a meeting for the authenticated organizer", async () => {
+    createMeeting.mockResolvedValue(MOCK_MEETING);
+
+    const res = await request(makeApp())
+      .post("/api/meetings")
+      .set("Authorization", authHeader())
+      .send({
+        title: "Weekly sync",
+        startAt: MOCK_MEETING.startAt,
+        endAt: MOCK_MEETING.endAt,
+        organizerUserId: "someone-else",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.meeting.roomId).toBe(MOCK_MEETING.roomId);
+    expect(createMeeting).toHaveBeenCalledWith({
+      title: "Weekly sync",
+      startAt: MOCK_MEETING.startAt,
+      endAt: MOCK_MEETING.endAt,
+      organizerUserId: USER_ID,
+    });
+  });
+
+  it("maps service errors to their status and code", async () => {
+    createMeeting.mockRejectedValue(
+      new MeetingServiceError("One or more invitees do not exist.", {
+        status: 400,
+        code: "invitee-not-found",
+      })
+    );
+
+    const res = await request(makeApp())
+      .post("/api/meetings")
+      .set("Authorization", authHeader())
+      .send({ title: "Weekly sync", inviteeUserIds: ["missing"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("invitee-not-found");
+  });
+
+  it("lists meetings, optionally including past ones", async () => {
+    listMeetingsForUser.mockResolvedValue([MOCK_MEETING]);
+
+    const res = await request(makeApp())
+      .get("/api/meetings?includePast=true")
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.meetings).toHaveLength(1);
+    expect(listMeetingsForUser).toHaveBeenCalledWith(USER_ID, { includePast: true });
+  });
+
+  it("cancels a meeting with DELETE", async () => {
+    cancelMeeting.mockResolvedValue({ ...MOCK_MEETING, status: "cancelled" });
+
+    const res = await request(makeApp())
+      .delete(`/api/meetings/${MOCK_MEETING.id}`)
+      .set("Authorization", authHeader());
+
+    expect(res.status).toBe(200);
+    expect(res.body.meeting.status).toBe("cancelled");
+    expect(cancelMeeting).toHaveBeenCalledWith(MOCK_MEETING.id, USER_ID);
+  });
+});
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const meetingSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 128,
+    },
+    organizerUserId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    inviteeUserIds: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    endAt: {
+      type: Date,
+      required: true,
+    },
+    // Reserved ahead of time; `joined-room` creates the room on first join inside the window.
+    roomId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "cancelled"],
+      default: "scheduled",
+    },
+    startNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+meetingSchema.index({ status: 1, startAt: 1, startNotifiedAt: 1 });
+
+meetingSchema.methods.toPublicJSON = function toPublicJSON() {
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    organizerUserId: this.organizerUserId,
+    inviteeUserIds: [...(this.inviteeUserIds || [])],
+    startAt: this.startAt,
+    endAt: this.endAt,
+    roomId: this.roomId,
+    status: this.status,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const Meeting = mongoose.models.Meeting || mongoose.model("Meeting", meetingSchema);
+
+export default Meeting;
@@ -0,0 +1,97 @@
+import { Router } from "express";
+import { requireAuth } from "../../auth/middleware/requireAuth.js";
+import { MeetingServiceError } from "../MeetingServiceError.js";
+import {
+  cancelMeeting,
+  createMeeting,
+  getMeetingForUser,
+  listMeetingsForUser,
+  updateMeeting,
+} from "../services/meetingService.js";
+
+const parseMeetingBody = (body = {}) => {
+  const changes = {};
+  ["title", "startAt", "endAt", "inviteeUserIds"].forEach((key) => {
+    if (body[key] !== undefined) {
+      changes[key] = body[key];
+    }
+  });
+  return changes;
+};
+
+const handleMeetingError = (res, error) => {
+  if (error instanceof MeetingServiceError) {
+    res.status(error.status).json({
+      error: error.code,
+      message: error.message,
+    });
+    return;
+  }
+
+  console.error("[meetings] unexpected error:", error);
+  res.status(500).json({
+    error: "internal-error",
+    message: "Unexpected server error.",
+  });
+};
+
+export const createMeetingRouter = ({ authRuntime }) => {
+  const router = Router();
+  router.use(requireAuth(authRuntime));
+
+  router.post("/", async (req, res) => {
+    try {
+      const meeting = await createMeeting({
+        ...parseMeetingBody(req.body),
+        organizerUserId: req.auth.userId,
+      });
+      res.status(201).json({ meeting });
+    } catch (error) {
+      handleMeetingError(res, error);
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      const meetings = await listMeetingsForUser(req.auth.userId, {
+        includePast: String(req.query?.includePast || "").trim().toLowerCase() === "true",
+      });
+      res.json({ meetings });
+    } catch (error) {
+      handleMeetingError(res, error);
+    }
+  });
+
+  router.get("/:meetingId", async (req, res) => {
+    try {
+      const meeting = await getMeetingForUser(req.params.meetingId, req.auth.userId);
+      res.json({ meeting });
+    } catch (error) {
+      handleMeetingError(res, error);
+    }
+  });
+
+  router.patch("/:meetingId", async (req, res) => {
+    try {
+      const meeting = await updateMeeting(
+        req.params.meetingId,
+        req.auth.userId,
+        parseMeetingBody(req.body)
+      );
+      res.json({ meeting });
+    } catch (error) {
+      handleMeetingError(res, error);
+    }
+  });
+
+  router.delete("/:meetingId", async (req, res) => {
+    try {
+      const meeting = await cancelMeeting(req.params.meetingId, req.auth.userId);
+      res.json({ meeting });
+    } catch (error) {
+      handleMeetingError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,290 @@
+import mongoose from "mongoose";
+import { v4 as UUIDv4 } from "uuid";
+import MeetingConfig from "../../../config/meetingConfig.js";
+import { getDatabaseState } from "../../../database/connectDatabase.js";
+import User from "../../auth/models/User.js";
+import { MeetingServiceError } from "../MeetingServiceError.js";
+import Meeting from "../models/Meeting.js";
+
+const MAX_TITLE_LENGTH = 128;
+const MAX_INVITEES = 100;
+
+const normalizeId = (value) => String(value || "").trim();
+
+const normalizeTitle = (value) => String(value || "").trim().slice(0, MAX_TITLE_LENGTH);
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(date.getTime())) {
+    throw new MeetingServiceError(`${field} must be a valid date.`, {
+      status: 400,
+      code: `${field}-invalid`,
+    });
+  }
+  return date;
+};
+
+const validateSchedule = ({ startAt, endAt }) => {
+  if (endAt.getTime() <= startAt.getTime()) {
+    throw new MeetingServiceError("endAt must be after startAt.", {
+      status: 400,
+      code: "schedule-invalid",
+    });
+  }
+
+  if (endAt.getTime() <= Date.now()) {
+    throw new MeetingServiceError("The meeting must end in the future.", {
+      status: 400,
+      code: "schedule-in-past",
+    });
+  }
+
+  if (endAt.getTime() - startAt.getTime() > MeetingConfig.MEETING_MAX_DURATION_MS) {
+    throw new MeetingServiceError("The meeting is too long.", {
+      status: 400,
+      code: "schedule-too-long",
+    });
+  }
+};
+
+// Invitees must be existing users; the organizer is implicitly part of every meeting.
+const resolveInviteeUserIds = async (inviteeUserIds, organizerUserId) => {
+  if (inviteeUserIds !== undefined && !Array.isArray(inviteeUserIds)) {
+    throw new MeetingServiceError("inviteeUserIds must be an array.", {
+      status: 400,
+      code: "invitees-invalid",
+    });
+  }
+
+  const normalizedIds = [
+    ...new Set((inviteeUserIds || []).map((userId) => normalizeId(userId)).filter(Boolean)),
+  ].filter((userId) => userId !== organizerUserId);
+
+  if (normalizedIds.length > MAX_INVITEES) {
+    throw new MeetingServiceError(`A meeting can have at most ${MAX_INVITEES} invitees.`, {
+      status: 400,
+      code: "invitees-too-many",
+    });
+  }
+
+  if (normalizedIds.some((userId) => !mongoose.isValidObjectId(userId))) {
+    throw new MeetingServiceError("One or more invitees do not exist.", {
+      status: 400,
+      code: "invitee-not-found",
+    });
+  }
+
+  if (normalizedIds.length === 0) return [];
+
+  const existingUsers = await User.find({ _id: { $in: normalizedIds } })
+    .select("_id")
+    .lean();
+  if (existingUsers.length !== normalizedIds.length) {
+    throw new MeetingServiceError("One or more invitees do not exist.", {
+      status: 400,
+      code: "invitee-not-found",
+    });
+  }
+
+  return normalizedIds;
+};
+
+const findOrganizerMeeting = async (meetingId, userId) => {
+  const normalizedMeetingId = normalizeId(meetingId);
+  const meeting = mongoose.isValidObjectId(normalizedMeetingId)
+    ? await Meeting.findById(normalizedMeetingId)
+    : null;
+  if (!meeting) {
+    throw new MeetingServiceError("Meeting not found.", {
+      status: 404,
+      code: "meeting-not-found",
+    });
+  }
+
+  if (meeting.organizerUserId !== userId) {
+    throw new MeetingServiceError("Only the organizer can change this meeting.", {
+      status: 403,
+      code: "meeting-forbidden",
+    });
+  }
+
+  return meeting;
+};
+
+export const createMeeting = async ({ organizerUserId, title, startAt, endAt, inviteeUserIds }) => {
+  const normalizedOrganizerUserId = normalizeId(organizerUserId);
+  const normalizedTitle = normalizeTitle(title);
+  if (!normalizedTitle) {
+    throw new MeetingServiceError("Title is required.", {
+      status: 400,
+      code: "title-required",
+    });
+  }
+
+  const schedule = {
+    startAt: parseDate(startAt, "startAt"),
+    endAt: parseDate(endAt, "endAt"),
+  };
+  validateSchedule(schedule);
+
+  const meeting = await Meeting.create({
+    title: normalizedTitle,
+    organizerUserId: normalizedOrganizerUserId,
+    inviteeUserIds: await resolveInviteeUserIds(inviteeUserIds, normalizedOrganizerUserId),
+    ...schedule,
+    roomId: UUIDv4(),
+  });
+
+  return meeting.toPublicJSON();
+};
+
+export const listMeetingsForUser = async (userId, { includePast = false } = {}) => {
+  const normalizedUserId = normalizeId(userId);
+  const filter = {
+    status: "scheduled",
+    $or: [{ organizerUserId: normalizedUserId }, { inviteeUserIds: normalizedUserId }],
+  };
+  if (!includePast) {
+    filter.endAt = { $gt: new Date() };
+  }
+
+  const meetings = await Meeting.find(filter).sort({ startAt: 1 });
+  return meetings.map((meeting) => meeting.toPublicJSON());
+};
+
+export const getMeetingForUser = async (meetingId, userId) => {
+  const normalizedMeetingId = normalizeId(meetingId);
+  const normalizedUserId = normalizeId(userId);
+  const meeting = mongoose.isValidObjectId(normalizedMeetingId)
+    ? await Meeting.findById(normalizedMeetingId)
+    : null;
+
+  const canView =
+    !!meeting &&
+    (meeting.organizerUserId === normalizedUserId ||
+      meeting.inviteeUserIds.includes(normalizedUserId));
+  if (!canView) {
+    throw new MeetingServiceError("Meeting not found.", {
+      status: 404,
+      code: "meeting-not-found",
+    });
+  }
+
+  return meeting.toPublicJSON();
+};
+
+export const updateMeeting = async (meetingId, userId, changes = {}) => {
+  const meeting = await findOrganizerMeeting(meetingId, normalizeId(userId));
+  if (meeting.status === "cancelled") {
+    throw new MeetingServiceError("Cancelled meetings cannot be changed.", {
+      status: 409,
+      code: "meeting-cancelled",
+    });
+  }
+
+  if (changes.title !== undefined) {
+    const normalizedTitle = normalizeTitle(changes.title);
+    if (!normalizedTitle) {
+      throw new MeetingServiceError("Title is required.", {
+        status: 400,
+        code: "title-required",
+      });
+    }
+    meeting.title = normalizedTitle;
+  }
+
+  if (changes.startAt !== undefined || changes.endAt !== undefined) {
+    const schedule = {
+      startAt: changes.startAt !== undefined ? parseDate(changes.startAt, "startAt") : meeting.startAt,
+      endAt: changes.endAt !== undefined ? parseDate(changes.endAt, "endAt") : meeting.endAt,
+    };
+    validateSchedule(schedule);
+    if (schedule.startAt.getTime() !== meeting.startAt.getTime()) {
+      // A moved meeting has not started yet as far as invitees are concerned.
+      meeting.startNotifiedAt = null;
+    }
+    meeting.startAt = schedule.startAt;
+    meeting.endAt = schedule.endAt;
+  }
+
+  if (changes.inviteeUserIds !== undefined) {
+    meeting.inviteeUserIds = await resolveInviteeUserIds(
+      changes.inviteeUserIds,
+      meeting.organizerUserId
+    );
+  }
+
+  await meeting.save();
+  return meeting.toPublicJSON();
+};
+
+export const cancelMeeting = async (meetingId, userId) => {
+  const meeting = await findOrganizerMeeting(meetingId, normalizeId(userId));
+  if (meeting.status !== "cancelled") {
+    meeting.status = "cancelled";
+    await meeting.save();
+  }
+  return meeting.toPublicJSON();
+};
+
+// Used by the room handler; returns null when no meeting reserved the room or the database is
+// unavailable, so ad-hoc rooms keep working without MongoDB.
+export const findMeetingByRoomId = async (roomId) => {
+  const normalizedRoomId = normalizeId(roomId);
+  if (!normalizedRoomId || !getDatabaseState().connected) return null;
+
+  try {
+    const meeting = await Meeting.findOne({ roomId: normalizedRoomId });
+    return meeting ? meeting.toPublicJSON() : null;
+  } catch (error) {
+    console.error("[meetings] room lookup failed:", error?.message || error);
+    return null;
+  }
+};
+
+export const getMeetingJoinRefusal = (meeting, now = Date.now()) => {
+  if (!meeting) return null;
+  if (meeting.status === "cancelled") {
+    return { reason: "cancelled", message: "This meeting was cancelled." };
+  }
+
+  const startAt = new Date(meeting.startAt).getTime();
+  const endAt = new Date(meeting.endAt).getTime();
+  const joinOpensAt = startAt - MeetingConfig.MEETING_EARLY_JOIN_MS;
+  if (now < joinOpensAt) {
+    return {
+      reason: "too-early",
+      message: "This meeting has not opened yet.",
+      joinOpensAt: new Date(joinOpensAt),
+    };
+  }
+
+  if (now >= endAt) {
+    return { reason: "ended", message: "This meeting has ended." };
+  }
+
+  return null;
+};
+
+// Meetings whose start time has passed but whose invitees were not told yet.
+export const claimStartedMeetings = async (now = new Date()) => {
+  const meetings = await Meeting.find({
+    status: "scheduled",
+    startNotifiedAt: null,
+    startAt: { $lte: now },
+    endAt: { $gt: now },
+  });
+
+  const claimed = [];
+  for (const meeting of meetings) {
+    // Conditional update so a meeting is only announced once even with several server instances.
+    const result = await Meeting.updateOne(
+      { _id: meeting._id, startNotifiedAt: null },
+      { $set: { startNotifiedAt: now } }
+    );
+    if (result.modifiedCount > 0) {
+      claimed.push(meeting.toPublicJSON());
+    }
+  }
+  return claimed;
+};
@@ -0,0 +1,8 @@
+export class RoomServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message || "Room error");
+    this.name = "RoomServiceError";
+    this.status = Number.isInteger(options.status) ? options.status : 400;
+    this.code = String(options.code || "room-error");
+  }
+}
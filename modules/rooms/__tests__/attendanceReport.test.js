@@ -0,0 +1,78 @@
+import { describe, it, expect } from "@jest/globals";
+import { attendanceReportToCsv, buildAttendanceReport } from "../utils/attendanceReport.js";
+
+const EVENTS = [
+  { type: "created", at: 0 },
+  { type: "joined", at: 1_000, peerId: "peer-a", authUserId: "user-1", label: "Ada" },
+  { type: "joined", at: 2_000, peerId: "peer-b", label: "=Bob" },
+  { type: "disconnected", at: 5_000, peerId: "peer-a", authUserId: "user-1", held: true },
+  { type: "reconnected", at: 6_000, peerId: "peer-a", authUserId: "user-1", label: "Ada" },
+  { type: "left", at: 9_000, peerId: "peer-b", reason: "kicked" },
+  { type: "left", at: 10_000, peerId: "peer-a", authUserId: "user-1", reason: "left" },
+  { type: "joined", at: 12_000, peerId: "peer-c", authUserId: "user-1", label: "Ada" },
+  { type: "closed", at: 15_000, reason: "room-ended" },
+];
+
+describe("buildAttendanceReport", () => {
+  it("sums connected time per account, excluding reconnect gaps", () => {
+    const report = buildAttendanceReport(EVENTS);
+
+    expect(report.startedAt).toBe(0);
+    expect(report.endedAt).toBe(15_000);
+    expect(report.participants).toEqual([
+      expect.objectContaining({
+        label: "Ada",
+        authUserId: "user-1",
+        peerIds: ["peer-a", "peer-c"],
+        firstJoinAt: 1_000,
+        lastLeaveAt: 15_000,
+        totalConnectedMs: 4_000 + 4_000 + 3_000,
+        sessions: 3,
+        connected: false,
+      }),
+      expect.objectContaining({
+        label: "=Bob",
+        firstJoinAt: 2_000,
+        lastLeaveAt: 9_000,
+        totalConnectedMs: 7_000,
+        sessions: 1,
+      }),
+    ]);
+  });
+
+  it("does not count time spent on hold in a direct call", () => {
+    const report = buildAttendanceReport([
+      { type: "created", at: 0 },
+      { type: "joined", at: 1_000, peerId: "peer-a", authUserId: "user-1", label: "Ada" },
+      { type: "on-hold", at: 3_000, peerId: "peer-a", authUserId: "user-1" },
+      { type: "resumed", at: 8_000, peerId: "peer-a", authUserId: "user-1", label: "Ada" },
+      { type: "closed", at: 10_000, reason: "room-ended" },
+    ]);
+
+    expect(report.participants[0]).toMatchObject({
+      totalConnectedMs: 2_000 + 2_000,
+      sessions: 2,
+    });
+  });
+
+  it("counts peers still in a live room up to now", () => {
+    const report = buildAttendanceReport(EVENTS.slice(0, 3), { now: 4_000 });
+
+    expect(report.endedAt).toBeNull();
+    expect(report.participants[0]).toMatchObject({
+      lastLeaveAt: null,
+      totalConnectedMs: 3_000,
+      connected: true,
+    });
+  });
+
+  it("renders CSV with formula-like cells neutralised", () => {
+    const csv = attendanceReportToCsv(buildAttendanceReport(EVENTS));
+    const lines = csv.trim().split("\r\n");
+
+    expect(lines[0]).toBe(
+      "participant,authUserId,peerIds,guest,firstJoinAt,lastLeaveAt,totalConnectedMs,sessions"
+    );
+    expect(lines[2].startsWith("'=Bob,,peer-b,no,")).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, expect, beforeEach, afterAll, jest } from "@jest/globals";
+import request from "supertest";
+
+// ---------------------------------------------------------------------------
+// Config is read at import time, so the upload directory is set before importing the app
+// ---------------------------------------------------------------------------
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "room-files-"));
+process.env.ROOM_FILE_UPLOAD_DIR = UPLOAD_DIR;
+process.env.ROOM_FILE_MAX_BYTES = "64";
+
+const { createApp } = await import("../../../server/createApp.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const ROOM_ID = "2f1b7c1e-8a4d-4c3b-9f0e-6d5a4b3c2d1e";
+
+const createRoomFilesMock = () => ({
+  authorizeUpload: jest.fn((roomId, token) =>
+    token === "ticket" ? { peerId: "peer-a", socketId: "socket-a" } : { error: "not-in-room" }
+  ),
+  shareFile: jest.fn(({ fileId, name, mimeType, size }) => ({
+    file: { fileId, name, mimeType, size, uploadedByPeerId: "peer-a" },
+  })),
+  resolveDownload: jest.fn(() => ({ error: "file-token-invalid" })),
+});
+
+let roomFiles;
+
+const makeApp = () => createApp({ roomFiles });
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("/api/rooms/:roomId/files", () => {
+  beforeEach(() => {
+    roomFiles = createRoomFilesMock();
+  });
+
+  afterAll(() => {
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  it("refuses uploads from outside the room before reading the body", async () => {
+    const res = await request(makeApp())
+      .post(`/api/rooms/${ROOM_ID}/files`)
+      .set("Authorization", "Bearer stale")
+      .attach("file", Buffer.from("%PDF-1.4"), {
+        filename: "notes.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("not-in-room");
+    expect(roomFiles.shareFile).not.toHaveBeenCalled();
+  });
+
+  it("rejects file types outside the allowlist", async () => {
+    const res = await request(makeApp())
+      .post(`/api/rooms/${ROOM_ID}/files`)
+      .set("Authorization", "Bearer ticket")
+      .attach("file", Buffer.from("<html></html>"), {
+        filename: "page.html",
+        contentType: "text/html",
+      });
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe("file-type-not-allowed");
+    expect(roomFiles.shareFile).not.toHaveBeenCalled();
+  });
+
+  it("rejects files over the size cap", async () => {
+    const res = await request(makeApp())
+      .post(`/api/rooms/${ROOM_ID}/files`)
+      .set("Authorization", "Bearer ticket")
+      .attach("file", Buffer.alloc(128), {
+        filename: "big.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe("file-too-large");
+  });
+
+  it("stores the upload under a generated name and shares it with the room", async () => {
+    const res = await request(makeApp())
+      .post(`/api/rooms/${ROOM_ID}/files`)
+      .set("Authorization", "Bearer ticket")
+      .attach("file", Buffer.from("%PDF-1.4"), {
+        filename: "notes.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.file.name).toBe("notes.pdf");
+    expect(roomFiles.shareFile).toHaveBeenCalledWith(
+      expect.objectContaining({
+        roomId: ROOM_ID,
+        peerId: "peer-a",
+        socketId: "socket-a",
+        mimeType: "application/pdf",
+        size: 8,
+      })
+    );
+    expect(fs.readdirSync(UPLOAD_DIR)).toEqual([res.body.file.fileId]);
+  });
+
+  it("rejects downloads without a valid member link", async () => {
+    const res = await request(makeApp()).get(`/api/rooms/${ROOM_ID}/files/some-file?token=bad`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("file-token-invalid");
+  });
+});
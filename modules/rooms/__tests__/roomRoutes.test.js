@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+
+// ---------------------------------------------------------------------------
+// Config is read at import time, and persistence is mocked before importing the app
+// ---------------------------------------------------------------------------
+process.env.AUTH_ADMIN_EMAILS = "admin@example.com";
+
+jest.unstable_mockModule("../services/roomService.js", () => ({
+  deletePersistedRoom: jest.fn(),
+  findPersistedRoom: jest.fn(),
+  isRoomPersistenceEnabled: jest.fn(() => false),
+}));
+
+jest.unstable_mockModule("../services/roomInviteService.js", () => ({
+  createRoomInvite: jest.fn(),
+  deleteRoomInvites: jest.fn(),
+  listRoomInvites: jest.fn(),
+  revokeRoomInvite: jest.fn(),
+}));
+
+jest.unstable_mockModule("../services/roomPollService.js", () => ({
+  getPollResultForUser: jest.fn(),
+  listPollResultsForUser: jest.fn(),
+  savePollResult: jest.fn(),
+}));
+
+// Dynamic imports after mocking
+const { deletePersistedRoom } = await import("../services/roomService.js");
+const { deleteRoomInvites } = await import("../services/roomInviteService.js");
+const { getPollResultForUser, listPollResultsForUser } = await import(
+  "../services/roomPollService.js"
+);
+const { RoomServiceError } = await import("../RoomServiceError.js");
+const { createAccessToken } = await import("../../auth/utils/tokenUtils.js");
+const { createApp } = await import("../../../server/createApp.js");
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const JWT_SECRET = "test-secret";
+const ROOM_ID = "2f1b7c1e-8a4d-4c3b-9f0e-6d5a4b3c2d1e";
+
+const MOCK_ROOM = {
+  roomId: ROOM_ID,
+  createdAt: 1_700_000_000_000,
+  participantCount: 1,
+  breakoutParentRoomId: null,
+  participants: ["peer-a"],
+  participantProfiles: {
+    "peer-a": { displayName: "Ada", email: "ada@example.com", label: "Ada", role: "owner" },
+  },
+};
+
+const createRoomAdminMock = () => ({
+  listRooms: jest.fn(() => [
+    { roomId: ROOM_ID, createdAt: MOCK_ROOM.createdAt, participantCount: 1 },
+  ]),
+  getRoom: jest.fn((roomId) => (roomId === ROOM_ID ? MOCK_ROOM : null)),
+  closeRoom: jest.fn((roomId) => (roomId === ROOM_ID ? [ROOM_ID] : null)),
+});
+
+let roomAdmin;
+
+const makeApp = () =>
+  createApp({
+    authRuntime: { enabled: true, jwtSecret: JWT_SECRET },
+    presenceStore: null,
+    roomAdmin,
+  });
+
+const authHeader = (email) =>
+  `Bearer ${createAccessToken({
+    userId: "64b7f0c2a1b2c3d4e5f60718",
+    email,
+    secret: JWT_SECRET,
+    expiresIn: "5m",
+  })}`;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+describe("/api/rooms", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    roomAdmin = createRoomAdminMock();
+    deletePersistedRoom.mockResolvedValue(false);
+    deleteRoomInvites.mockResolvedValue(0);
+  });
+
+  it("refuses to list live rooms for non-admins", async () => {
+    const res = await request(makeApp())
+      .get("/api/rooms")
+      .set("Authorization", authHeader("user@example.com"));
+
+    expect(res.status).toBe(403);
+    expect(res.body.rooms).toBeUndefined();
+    expect(roomAdmin.listRooms).not.toHaveBeenCalled();
+  });
+
+  it("lists live rooms for admins", async () => {
+    const res = await request(makeApp())
+      .get("/api/rooms")
+      .set("Authorization", authHeader("admin@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.rooms).toEqual([
+      { roomId: ROOM_ID, createdAt: MOCK_ROOM.createdAt, participantCount: 1 },
+    ]);
+  });
+
+  it("hides participant emails from non-admins", async () => {
+    const res = await request(makeApp())
+      .get(`/api/rooms/${ROOM_ID}`)
+      .set("Authorization", authHeader("user@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.room.participantProfiles["peer-a"].email).toBe("");
+  });
+
+  it("returns 404 for an unknown room", async () => {
+    const res = await request(makeApp())
+      .get("/api/rooms/unknown")
+      .set("Authorization", authHeader("admin@example.com"));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("room-not-found");
+  });
+
+  it("refuses to close a room for non-admins", async () => {
+    const res = await request(makeApp())
+      .delete(`/api/rooms/${ROOM_ID}`)
+      .set("Authorization", authHeader("user@example.com"));
+
+    expect(res.status).toBe(403);
+    expect(roomAdmin.closeRoom).not.toHaveBeenCalled();
+  });
+
+  it("lets admins force-close a room", async () => {
+    const res = await request(makeApp())
+      .delete(`/api/rooms/${ROOM_ID}`)
+      .set("Authorization", authHeader("admin@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.closedRoomIds).toEqual([ROOM_ID]);
+    expect(roomAdmin.closeRoom).toHaveBeenCalledWith(ROOM_ID, { reason: "closed-by-admin" });
+    expect(deletePersistedRoom).toHaveBeenCalledWith(ROOM_ID);
+    expect(deleteRoomInvites).toHaveBeenCalledWith(ROOM_ID);
+  });
+
+  it("lists stored poll results, flagging admins to the service", async () => {
+    const poll = { pollId: "poll-1", roomId: ROOM_ID, results: { counts: [1, 0], totalVotes: 1 } };
+    listPollResultsForUser.mockResolvedValue([poll]);
+
+    const res = await request(makeApp())
+      .get(`/api/rooms/${ROOM_ID}/polls`)
+      .set("Authorization", authHeader("admin@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.polls).toEqual([poll]);
+    expect(listPollResultsForUser).toHaveBeenCalledWith(ROOM_ID, {
+      userId: "64b7f0c2a1b2c3d4e5f60718",
+      isAdmin: true,
+    });
+  });
+
+  it("maps poll access errors to their status", async () => {
+    getPollResultForUser.mockRejectedValue(
+      new RoomServiceError("You did not take part in this poll.", {
+        status: 403,
+        code: "poll-forbidden",
+      })
+    );
+
+    const res = await request(makeApp())
+      .get(`/api/rooms/${ROOM_ID}/polls/poll-1`)
+      .set("Authorization", authHeader("user@example.com"));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("poll-forbidden");
+    expect(getPollResultForUser).toHaveBeenCalledWith(ROOM_ID, "poll-1", {
+      userId: "64b7f0c2a1b2c3d4e5f60718",
+      isAdmin: false,
+    });
+  });
+
+  it("reports meeting summaries as unavailable without a database", async () => {
+    const res = await request(makeApp())
+      .get(`/api/rooms/${ROOM_ID}/summaries`)
+      .set("Authorization", authHeader("user@example.com"));
+
+    expect(res.status).toBe(503);
+    expect(res.body.error).toBe("summaries-unavailable");
+  });
+});
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const roomSettingsSchema = new mongoose.Schema(
+  {
+    autoCreated: {
+      type: Boolean,
+      default: false,
+    },
+    locked: {
+      type: Boolean,
+      default: false,
+    },
+    lobbyEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // 0 means the server-wide ROOM_MAX_PARTICIPANTS applies.
+    maxParticipants: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    overflowQueueEnabled: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const roomSchema = new mongoose.Schema(
+  {
+    roomId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    createdByUserId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    ownerUserId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    passcodeHash: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    settings: {
+      type: roomSettingsSchema,
+      default: () => ({}),
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed.
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Internal record used to rehydrate in-memory room state. Includes the passcode hash when the
+// query selected it, so it must never be sent to clients as-is.
+roomSchema.methods.toRoomRecord = function toRoomRecord() {
+  return {
+    roomId: this.roomId,
+    createdByUserId: this.createdByUserId,
+    ownerUserId: this.ownerUserId,
+    passcodeHash: String(this.passcodeHash || ""),
+    settings: {
+      autoCreated: !!this.settings?.autoCreated,
+      locked: !!this.settings?.locked,
+      lobbyEnabled: !!this.settings?.lobbyEnabled,
+      maxParticipants: Number(this.settings?.maxParticipants) || 0,
+      overflowQueueEnabled: !!this.settings?.overflowQueueEnabled,
+    },
+    createdAt: this.createdAt,
+    lastActivityAt: this.lastActivityAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+const Room = mongoose.models.Room || mongoose.model("Room", roomSchema);
+
+export default Room;
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+const roomInviteSchema = new mongoose.Schema(
+  {
+    // Carried as the `sub` claim of the signed invite token.
+    inviteId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    roomId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    createdByUserId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["participant", "viewer"],
+      default: "participant",
+    },
+    // 0 means the invite can be used until it expires or is revoked.
+    maxUses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed.
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+roomInviteSchema.methods.toPublicJSON = function toPublicJSON() {
+  return {
+    id: this.inviteId,
+    roomId: this.roomId,
+    role: this.role,
+    maxUses: this.maxUses,
+    uses: this.uses,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const RoomInvite = mongoose.models.RoomInvite || mongoose.model("RoomInvite", roomInviteSchema);
+
+export default RoomInvite;
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+
+const pollOptionSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    text: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const pollVoterSchema = new mongoose.Schema(
+  {
+    peerId: { type: String, required: true },
+    label: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const roomPollSchema = new mongoose.Schema(
+  {
+    pollId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    roomId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    question: {
+      type: String,
+      required: true,
+    },
+    options: {
+      type: [pollOptionSchema],
+      default: [],
+    },
+    anonymous: {
+      type: Boolean,
+      default: false,
+    },
+    createdByUserId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    counts: {
+      type: [Number],
+      default: [],
+    },
+    totalVotes: {
+      type: Number,
+      default: 0,
+    },
+    // Only stored for named polls; anonymous polls keep counts alone.
+    votersByOption: {
+      type: [[pollVoterSchema]],
+      default: undefined,
+    },
+    // Accounts allowed to read the results besides the room owner and administrators.
+    participantUserIds: {
+      type: [String],
+      default: [],
+    },
+    openedAt: {
+      type: Date,
+      required: true,
+    },
+    closedAt: {
+      type: Date,
+      required: true,
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed.
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+roomPollSchema.methods.toPublicJSON = function toPublicJSON() {
+  return {
+    pollId: this.pollId,
+    roomId: this.roomId,
+    question: this.question,
+    options: this.options.map((option) => ({ id: option.id, text: option.text })),
+    anonymous: this.anonymous,
+    openedAt: this.openedAt,
+    closedAt: this.closedAt,
+    results: {
+      counts: [...this.counts],
+      totalVotes: this.totalVotes,
+      ...(this.anonymous
+        ? {}
+        : {
+            votersByOption: (this.votersByOption || []).map((voters) =>
+              voters.map((voter) => ({ peerId: voter.peerId, label: voter.label }))
+            ),
+          }),
+    },
+  };
+};
+
+const RoomPoll = mongoose.models.RoomPoll || mongoose.model("RoomPoll", roomPollSchema);
+
+export default RoomPoll;
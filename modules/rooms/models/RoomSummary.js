@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+const transcriptSegmentSchema = new mongoose.Schema(
+  {
+    speakerPeerId: { type: String, required: true },
+    speakerLabel: { type: String, default: "" },
+    text: { type: String, required: true },
+    startMs: { type: Number, required: true },
+    endMs: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const roomSummarySchema = new mongoose.Schema(
+  {
+    summaryId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    roomId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    summary: {
+      type: String,
+      default: "",
+    },
+    bullets: {
+      type: [String],
+      default: [],
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+    segments: {
+      type: [transcriptSegmentSchema],
+      default: [],
+    },
+    // Accounts allowed to read the summary besides administrators.
+    attendeeUserIds: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      required: true,
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed.
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+roomSummarySchema.methods.toPublicJSON = function toPublicJSON({ includeTranscript = false } = {}) {
+  return {
+    summaryId: this.summaryId,
+    roomId: this.roomId,
+    summary: this.summary,
+    bullets: [...this.bullets],
+    truncated: this.truncated,
+    segmentCount: this.segments.length,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    ...(includeTranscript
+      ? {
+          transcript: this.segments.map((segment) => ({
+            speakerPeerId: segment.speakerPeerId,
+            speakerLabel: segment.speakerLabel,
+            text: segment.text,
+            startMs: segment.startMs,
+            endMs: segment.endMs,
+          })),
+        }
+      : {}),
+  };
+};
+
+const RoomSummary =
+  mongoose.models.RoomSummary || mongoose.model("RoomSummary", roomSummarySchema);
+
+export default RoomSummary;
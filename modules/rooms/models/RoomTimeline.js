@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const roomTimelineSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    roomId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    ownerUserId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+    // { type, at, peerId?, authUserId?, label?, guest?, reason?, by?, held? }, in order.
+    events: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      required: true,
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed.
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+roomTimelineSchema.methods.toTimelineRecord = function toTimelineRecord() {
+  return {
+    roomId: this.roomId,
+    sessionId: this.sessionId,
+    ownerUserId: this.ownerUserId,
+    truncated: this.truncated,
+    events: this.events,
+  };
+};
+
+const RoomTimeline =
+  mongoose.models.RoomTimeline || mongoose.model("RoomTimeline", roomTimelineSchema);
+
+export default RoomTimeline;
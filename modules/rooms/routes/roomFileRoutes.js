@@ -0,0 +1,144 @@
+import { Router } from "express";
+import multer from "multer";
+import { v4 as UUIDv4 } from "uuid";
+import FileConfig from "../../../config/fileConfig.js";
+import { readBearerToken } from "../../auth/middleware/requireAuth.js";
+
+const MAX_FILE_NAME_LENGTH = 255;
+
+const FILE_ERRORS = {
+  "upload-token-invalid": { status: 401, message: "Missing or invalid upload ticket." },
+  "file-token-invalid": { status: 401, message: "Invalid or expired download link." },
+  "not-in-room": { status: 403, message: "You are not in this room." },
+  "room-file-read-only": { status: 403, message: "Viewers cannot share files." },
+  "room-file-limit-reached": { status: 409, message: "This room cannot hold more files." },
+  "file-not-found": { status: 404, message: "File not found." },
+  "file-required": { status: 400, message: "Attach the file as the `file` form field." },
+  "file-too-large": { status: 413, message: "The file is too large." },
+  "file-type-not-allowed": { status: 415, message: "This file type cannot be shared." },
+};
+
+const sendFileError = (res, code, extra = {}) => {
+  const { status, message } = FILE_ERRORS[code] || { status: 400, message: "Upload failed." };
+  res.status(status).json({ error: code, message, ...extra });
+};
+
+const normalizeRoomId = (value) => String(value || "").trim();
+
+// Only used for display and Content-Disposition; the file on disk is named by its ID.
+const normalizeFileName = (value) => {
+  const baseName = String(value || "")
+    .replace(/[\\/]/g, "_")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim();
+  return baseName.slice(0, MAX_FILE_NAME_LENGTH) || "file";
+};
+
+// `roomFiles` (see handlers/room/files.js) checks membership against the live rooms and
+// broadcasts `room-file-shared`. Uploads are authorised by a ticket from the room socket rather
+// than an account, so guests and link-call participants can share files too.
+export const createRoomFileRouter = ({ roomFiles }) => {
+  const router = Router();
+  const allowedMimeTypes = new Set(FileConfig.ROOM_FILE_ALLOWED_MIME_TYPES);
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: FileConfig.ROOM_FILE_UPLOAD_DIR,
+      filename: (req, file, callback) => callback(null, UUIDv4()),
+    }),
+    limits: {
+      fileSize: FileConfig.ROOM_FILE_MAX_BYTES,
+      files: 1,
+      fields: 0,
+    },
+    fileFilter: (req, file, callback) => {
+      if (!allowedMimeTypes.has(String(file.mimetype || "").toLowerCase())) {
+        const error = new Error("file type not allowed");
+        error.fileErrorCode = "file-type-not-allowed";
+        callback(error);
+        return;
+      }
+      callback(null, true);
+    },
+  }).single("file");
+
+  // Membership is checked from the ticket before any of the body is read.
+  const authorizeUpload = (req, res, next) => {
+    const result = roomFiles.authorizeUpload(
+      normalizeRoomId(req.params.roomId),
+      readBearerToken(req.headers?.authorization)
+    );
+    if (result.error) {
+      sendFileError(res, result.error);
+      return;
+    }
+
+    req.roomFileUpload = result;
+    next();
+  };
+
+  router.post("/:roomId/files", authorizeUpload, (req, res) => {
+    upload(req, res, (error) => {
+      if (error) {
+        if (error.fileErrorCode) {
+          sendFileError(res, error.fileErrorCode, { allowedMimeTypes: [...allowedMimeTypes] });
+        } else if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+          sendFileError(res, "file-too-large", { maxBytes: FileConfig.ROOM_FILE_MAX_BYTES });
+        } else if (error instanceof multer.MulterError) {
+          sendFileError(res, "file-required");
+        } else {
+          console.error("[files] upload failed:", error?.message || error);
+          res.status(500).json({
+            error: "internal-error",
+            message: "Unexpected server error.",
+          });
+        }
+        return;
+      }
+
+      if (!req.file) {
+        sendFileError(res, "file-required");
+        return;
+      }
+
+      const result = roomFiles.shareFile({
+        roomId: normalizeRoomId(req.params.roomId),
+        peerId: req.roomFileUpload.peerId,
+        socketId: req.roomFileUpload.socketId,
+        fileId: req.file.filename,
+        name: normalizeFileName(req.file.originalname),
+        mimeType: String(req.file.mimetype).toLowerCase(),
+        size: req.file.size,
+      });
+      if (result.error) {
+        sendFileError(res, result.error);
+        return;
+      }
+
+      res.status(201).json({ file: result.file });
+    });
+  });
+
+  router.get("/:roomId/files/:fileId", (req, res) => {
+    const result = roomFiles.resolveDownload(
+      normalizeRoomId(req.params.roomId),
+      String(req.params.fileId || "").trim(),
+      String(req.query?.token || "").trim()
+    );
+    if (result.error) {
+      sendFileError(res, result.error);
+      return;
+    }
+
+    // Always served as an attachment with the stored type, so an upload is never rendered inline.
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.type(result.file.mimeType);
+    res.download(result.filePath, result.file.name, (error) => {
+      if (error && !res.headersSent) {
+        sendFileError(res, "file-not-found");
+      }
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,259 @@
+import { Router } from "express";
+import { isAdminEmail, requireAdmin } from "../../auth/middleware/requireAdmin.js";
+import { requireAuth } from "../../auth/middleware/requireAuth.js";
+import { RoomServiceError } from "../RoomServiceError.js";
+import {
+  createRoomInvite,
+  deleteRoomInvites,
+  listRoomInvites,
+  revokeRoomInvite,
+} from "../services/roomInviteService.js";
+import { getPollResultForUser, listPollResultsForUser } from "../services/roomPollService.js";
+import {
+  getRoomSummaryForUser,
+  listRoomSummariesForUser,
+} from "../services/roomSummaryService.js";
+import { deletePersistedRoom } from "../services/roomService.js";
+import { findRoomTimeline } from "../services/roomTimelineService.js";
+import { attendanceReportToCsv, buildAttendanceReport } from "../utils/attendanceReport.js";
+
+const normalizeRoomId = (value) => String(value || "").trim();
+
+// Participant emails are only shown to administrators.
+const redactParticipantProfiles = (participantProfiles) => {
+  const redacted = {};
+  Object.entries(participantProfiles).forEach(([peerId, profile]) => {
+    redacted[peerId] = { ...profile, email: "" };
+  });
+  return redacted;
+};
+
+const handleRoomError = (res, error) => {
+  if (error instanceof RoomServiceError) {
+    res.status(error.status).json({
+      error: error.code,
+      message: error.message,
+    });
+    return;
+  }
+
+  console.error("[rooms] unexpected error:", error);
+  res.status(500).json({
+    error: "internal-error",
+    message: "Unexpected server error.",
+  });
+};
+
+// `roomAdmin` (see handlers/room/admin.js) gives access to the live in-memory rooms; without it
+// only persisted data is available (invites, poll results, summaries and finished sessions).
+export const createRoomRouter = ({ authRuntime, roomAdmin = null }) => {
+  const router = Router();
+  router.use(requireAuth(authRuntime));
+
+  // The live session comes from memory; finished sessions from the database. Only the room
+  // owner and administrators can read a timeline.
+  const resolveRoomTimeline = async (req) => {
+    const roomId = normalizeRoomId(req.params.roomId);
+    const sessionId = String(req.query?.sessionId || "").trim();
+
+    const liveTimeline = roomAdmin?.getRoomTimeline(roomId) || null;
+    const timeline =
+      liveTimeline && (!sessionId || liveTimeline.sessionId === sessionId)
+        ? liveTimeline
+        : await findRoomTimeline(roomId, sessionId);
+    if (!timeline) {
+      throw new RoomServiceError("No timeline was recorded for this room.", {
+        status: 404,
+        code: "timeline-not-found",
+      });
+    }
+
+    const isOwner = !!timeline.ownerUserId && timeline.ownerUserId === req.auth.userId;
+    if (!isOwner && !isAdminEmail(req.auth.email)) {
+      throw new RoomServiceError("Only the room owner can view its attendance.", {
+        status: 403,
+        code: "room-forbidden",
+      });
+    }
+    return { timeline, live: timeline === liveTimeline };
+  };
+
+  if (roomAdmin) {
+    // Room IDs are enough to join rooms without a passcode, so only admins may list them.
+    router.get("/", requireAdmin, (req, res) => {
+      res.json({ rooms: roomAdmin.listRooms() });
+    });
+
+    router.get("/:roomId", (req, res) => {
+      const room = roomAdmin.getRoom(normalizeRoomId(req.params.roomId));
+      if (!room) {
+        res.status(404).json({
+          error: "room-not-found",
+          message: "Room not found.",
+        });
+        return;
+      }
+
+      res.json({
+        room: isAdminEmail(req.auth.email)
+          ? room
+          : { ...room, participantProfiles: redactParticipantProfiles(room.participantProfiles) },
+      });
+    });
+
+    router.delete("/:roomId", requireAdmin, async (req, res) => {
+      const roomId = normalizeRoomId(req.params.roomId);
+      const liveRoom = roomAdmin.getRoom(roomId);
+      if (liveRoom?.breakoutParentRoomId) {
+        res.status(409).json({
+          error: "room-is-breakout",
+          message: "Close the main room to close its breakout rooms.",
+          breakoutParentRoomId: liveRoom.breakoutParentRoomId,
+        });
+        return;
+      }
+
+      try {
+        const closedRoomIds = roomAdmin.closeRoom(roomId, { reason: "closed-by-admin" }) || [];
+        const persistedDeleted = await deletePersistedRoom(roomId);
+        await deleteRoomInvites(roomId);
+
+        if (closedRoomIds.length === 0 && !persistedDeleted) {
+          res.status(404).json({
+            error: "room-not-found",
+            message: "Room not found.",
+          });
+          return;
+        }
+
+        console.log(`[rooms] room ${roomId} closed by admin ${req.auth.userId}`);
+        res.json({ roomId, closedRoomIds });
+      } catch (error) {
+        handleRoomError(res, error);
+      }
+    });
+  }
+
+  router.post("/:roomId/invites", async (req, res) => {
+    try {
+      const result = await createRoomInvite({
+        roomId: req.params.roomId,
+        userId: req.auth.userId,
+        role: req.body?.role,
+        maxUses: req.body?.maxUses,
+        expiresInMs: req.body?.expiresInMs,
+        secret: authRuntime.jwtSecret,
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/invites", async (req, res) => {
+    try {
+      const invites = await listRoomInvites(req.params.roomId, req.auth.userId);
+      res.json({ invites });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.delete("/:roomId/invites/:inviteId", async (req, res) => {
+    try {
+      const invite = await revokeRoomInvite(
+        req.params.roomId,
+        req.params.inviteId,
+        req.auth.userId
+      );
+      res.json({ invite });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/polls", async (req, res) => {
+    try {
+      const polls = await listPollResultsForUser(req.params.roomId, {
+        userId: req.auth.userId,
+        isAdmin: isAdminEmail(req.auth.email),
+      });
+      res.json({ polls });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/polls/:pollId", async (req, res) => {
+    try {
+      const poll = await getPollResultForUser(req.params.roomId, req.params.pollId, {
+        userId: req.auth.userId,
+        isAdmin: isAdminEmail(req.auth.email),
+      });
+      res.json({ poll });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/timeline", async (req, res) => {
+    try {
+      const { timeline, live } = await resolveRoomTimeline(req);
+      res.json({ timeline: { ...timeline, live } });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/attendance", async (req, res) => {
+    try {
+      const { timeline, live } = await resolveRoomTimeline(req);
+      const report = buildAttendanceReport(timeline.events);
+
+      if (String(req.query?.format || "").trim().toLowerCase() === "csv") {
+        res.type("text/csv");
+        res.attachment(`attendance-${timeline.roomId}-${timeline.sessionId}.csv`);
+        res.send(attendanceReportToCsv(report));
+        return;
+      }
+
+      res.json({
+        attendance: {
+          roomId: timeline.roomId,
+          sessionId: timeline.sessionId,
+          live,
+          truncated: timeline.truncated,
+          ...report,
+        },
+      });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/summaries", async (req, res) => {
+    try {
+      const summaries = await listRoomSummariesForUser(req.params.roomId, {
+        userId: req.auth.userId,
+        isAdmin: isAdminEmail(req.auth.email),
+      });
+      res.json({ summaries });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  router.get("/:roomId/summaries/:summaryId", async (req, res) => {
+    try {
+      const summary = await getRoomSummaryForUser(req.params.roomId, req.params.summaryId, {
+        userId: req.auth.userId,
+        isAdmin: isAdminEmail(req.auth.email),
+      });
+      res.json({ summary });
+    } catch (error) {
+      handleRoomError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,187 @@
+import { v4 as UUIDv4 } from "uuid";
+import RoomConfig from "../../../config/roomConfig.js";
+import {
+  createRoomInviteToken,
+  verifyRoomInviteToken,
+} from "../../auth/utils/tokenUtils.js";
+import { RoomServiceError } from "../RoomServiceError.js";
+import RoomInvite from "../models/RoomInvite.js";
+import { findPersistedRoom, isRoomPersistenceEnabled } from "./roomService.js";
+
+const INVITE_ROLES = new Set(["participant", "viewer"]);
+const MAX_INVITE_USES = 1000;
+
+const normalizeId = (value) => String(value || "").trim();
+
+const normalizeInviteRole = (value) => {
+  const role = String(value || "participant").trim().toLowerCase();
+  if (!INVITE_ROLES.has(role)) {
+    throw new RoomServiceError("Invite role must be participant or viewer.", {
+      status: 400,
+      code: "invite-role-invalid",
+    });
+  }
+  return role;
+};
+
+const normalizeMaxUses = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_INVITE_USES) {
+    throw new RoomServiceError(`maxUses must be between 0 and ${MAX_INVITE_USES}.`, {
+      status: 400,
+      code: "invite-max-uses-invalid",
+    });
+  }
+  return parsed;
+};
+
+const normalizeExpiresInMs = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return Math.min(RoomConfig.ROOM_INVITE_TTL_MS, RoomConfig.ROOM_INVITE_MAX_TTL_MS);
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > RoomConfig.ROOM_INVITE_MAX_TTL_MS) {
+    throw new RoomServiceError("expiresInMs is out of range.", {
+      status: 400,
+      code: "invite-expiry-invalid",
+    });
+  }
+  return parsed;
+};
+
+// Only the current owner (by account) can manage a room's invites. Rooms owned by a bare socket
+// have no account to check against, so their invites cannot be managed over HTTP.
+const requireOwnedRoom = async (roomId, userId) => {
+  const room = await findPersistedRoom(roomId);
+  if (!room) {
+    throw new RoomServiceError("Room not found.", {
+      status: 404,
+      code: "room-not-found",
+    });
+  }
+
+  if (!room.ownerUserId || room.ownerUserId !== normalizeId(userId)) {
+    throw new RoomServiceError("Only the room owner can manage invites.", {
+      status: 403,
+      code: "room-forbidden",
+    });
+  }
+  return room;
+};
+
+const isInviteActive = (invite, now = Date.now()) =>
+  !invite.revokedAt &&
+  new Date(invite.expiresAt).getTime() > now &&
+  (invite.maxUses === 0 || invite.uses < invite.maxUses);
+
+export const createRoomInvite = async ({ roomId, userId, role, maxUses, expiresInMs, secret }) => {
+  const normalizedRoomId = normalizeId(roomId);
+  await requireOwnedRoom(normalizedRoomId, userId);
+
+  const normalizedExpiresInMs = normalizeExpiresInMs(expiresInMs);
+  const invite = await RoomInvite.create({
+    inviteId: UUIDv4(),
+    roomId: normalizedRoomId,
+    createdByUserId: normalizeId(userId),
+    role: normalizeInviteRole(role),
+    maxUses: normalizeMaxUses(maxUses),
+    expiresAt: new Date(Date.now() + normalizedExpiresInMs),
+  });
+
+  const token = createRoomInviteToken({
+    inviteId: invite.inviteId,
+    roomId: invite.roomId,
+    role: invite.role,
+    secret,
+    expiresIn: Math.ceil(normalizedExpiresInMs / 1000),
+  });
+  return { invite: invite.toPublicJSON(), token };
+};
+
+export const listRoomInvites = async (roomId, userId) => {
+  const normalizedRoomId = normalizeId(roomId);
+  await requireOwnedRoom(normalizedRoomId, userId);
+
+  const invites = await RoomInvite.find({ roomId: normalizedRoomId }).sort({ createdAt: -1 });
+  return invites.filter((invite) => isInviteActive(invite)).map((invite) => invite.toPublicJSON());
+};
+
+export const revokeRoomInvite = async (roomId, inviteId, userId) => {
+  const normalizedRoomId = normalizeId(roomId);
+  await requireOwnedRoom(normalizedRoomId, userId);
+
+  const invite = await RoomInvite.findOne({
+    roomId: normalizedRoomId,
+    inviteId: normalizeId(inviteId),
+  });
+  if (!invite) {
+    throw new RoomServiceError("Invite not found.", {
+      status: 404,
+      code: "invite-not-found",
+    });
+  }
+
+  if (!invite.revokedAt) {
+    invite.revokedAt = new Date();
+    await invite.save();
+  }
+  return invite.toPublicJSON();
+};
+
+// Checks a token presented to `joined-room` without spending a use. Returns { invite } when
+// it can be used for this room, otherwise { reason }.
+export const resolveRoomInvite = async ({ roomId, token, secret }) => {
+  if (!secret || !isRoomPersistenceEnabled()) return { reason: "unavailable" };
+
+  let decoded;
+  try {
+    decoded = verifyRoomInviteToken({ token: normalizeId(token), secret });
+  } catch (error) {
+    return { reason: error?.name === "TokenExpiredError" ? "expired" : "invalid" };
+  }
+
+  if (normalizeId(decoded?.roomId) !== normalizeId(roomId)) return { reason: "wrong-room" };
+
+  try {
+    const invite = await RoomInvite.findOne({ inviteId: normalizeId(decoded.sub) });
+    if (!invite || invite.revokedAt) return { reason: "revoked" };
+    if (new Date(invite.expiresAt).getTime() <= Date.now()) return { reason: "expired" };
+    if (!isInviteActive(invite)) return { reason: "exhausted" };
+    return { invite: invite.toPublicJSON() };
+  } catch (error) {
+    console.error("[rooms] invite lookup failed:", error?.message || error);
+    return { reason: "unavailable" };
+  }
+};
+
+// Spends one use. The conditional update keeps concurrent joins from exceeding maxUses.
+export const claimRoomInvite = async (inviteId) => {
+  try {
+    const result = await RoomInvite.updateOne(
+      {
+        inviteId: normalizeId(inviteId),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [{ maxUses: 0 }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+      },
+      { $inc: { uses: 1 } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error("[rooms] invite claim failed:", error?.message || error);
+    return false;
+  }
+};
+
+export const deleteRoomInvites = async (roomId) => {
+  if (!isRoomPersistenceEnabled()) return 0;
+
+  try {
+    const result = await RoomInvite.deleteMany({ roomId: normalizeId(roomId) });
+    return result.deletedCount;
+  } catch (error) {
+    console.error("[rooms] invite cleanup failed:", error?.message || error);
+    return 0;
+  }
+};
@@ -0,0 +1,95 @@
+import RoomConfig from "../../../config/roomConfig.js";
+import { RoomServiceError } from "../RoomServiceError.js";
+import RoomPoll from "../models/RoomPoll.js";
+import { findPersistedRoom, isRoomPersistenceEnabled } from "./roomService.js";
+
+const normalizeId = (value) => String(value || "").trim();
+
+const canReadPoll = (poll, room, userId, isAdmin) =>
+  isAdmin ||
+  (!!room?.ownerUserId && room.ownerUserId === userId) ||
+  poll.participantUserIds.includes(userId);
+
+// Stores the final results of a closed poll. Best-effort like the rest of room persistence:
+// without a database the results only exist in the `poll-closed` broadcast.
+export const savePollResult = async ({
+  roomId,
+  pollId,
+  question,
+  options,
+  anonymous,
+  createdByUserId,
+  openedAt,
+  closedAt,
+  results,
+  participantUserIds = [],
+}) => {
+  if (!isRoomPersistenceEnabled()) return null;
+
+  try {
+    const poll = await RoomPoll.create({
+      pollId: normalizeId(pollId),
+      roomId: normalizeId(roomId),
+      question,
+      options,
+      anonymous: !!anonymous,
+      createdByUserId: normalizeId(createdByUserId),
+      counts: results.counts,
+      totalVotes: results.totalVotes,
+      votersByOption: anonymous ? undefined : results.votersByOption,
+      participantUserIds,
+      openedAt,
+      closedAt,
+      expiresAt: new Date(closedAt.getTime() + RoomConfig.ROOM_POLL_RESULT_TTL_MS),
+    });
+    return poll.toPublicJSON();
+  } catch (error) {
+    console.error("[rooms] poll result persist failed:", error?.message || error);
+    return null;
+  }
+};
+
+const requirePollPersistence = () => {
+  if (!isRoomPersistenceEnabled()) {
+    throw new RoomServiceError("Poll results are not stored on this server.", {
+      status: 503,
+      code: "poll-results-unavailable",
+    });
+  }
+};
+
+export const listPollResultsForUser = async (roomId, { userId, isAdmin = false }) => {
+  requirePollPersistence();
+  const normalizedRoomId = normalizeId(roomId);
+  const normalizedUserId = normalizeId(userId);
+
+  const [room, polls] = await Promise.all([
+    findPersistedRoom(normalizedRoomId),
+    RoomPoll.find({ roomId: normalizedRoomId }).sort({ closedAt: -1 }),
+  ]);
+  return polls
+    .filter((poll) => canReadPoll(poll, room, normalizedUserId, isAdmin))
+    .map((poll) => poll.toPublicJSON());
+};
+
+export const getPollResultForUser = async (roomId, pollId, { userId, isAdmin = false }) => {
+  requirePollPersistence();
+  const normalizedRoomId = normalizeId(roomId);
+
+  const poll = await RoomPoll.findOne({ roomId: normalizedRoomId, pollId: normalizeId(pollId) });
+  if (!poll) {
+    throw new RoomServiceError("Poll not found.", {
+      status: 404,
+      code: "poll-not-found",
+    });
+  }
+
+  const room = await findPersistedRoom(normalizedRoomId);
+  if (!canReadPoll(poll, room, normalizeId(userId), isAdmin)) {
+    throw new RoomServiceError("You did not take part in this poll.", {
+      status: 403,
+      code: "poll-forbidden",
+    });
+  }
+  return poll.toPublicJSON();
+};
@@ -0,0 +1,120 @@
+import RoomConfig from "../../../config/roomConfig.js";
+import { getDatabaseState } from "../../../database/connectDatabase.js";
+import Room from "../models/Room.js";
+
+const normalizeRoomId = (value) => String(value || "").trim();
+
+const computeExpiresAt = (from = Date.now()) => new Date(from + RoomConfig.ROOM_IDLE_TTL_MS);
+
+// Persistence is best-effort: without a database connection rooms keep living in memory only,
+// which preserves the original link-call behaviour.
+export const isRoomPersistenceEnabled = () => !!getDatabaseState().connected;
+
+export const createPersistedRoom = async ({
+  roomId,
+  createdByUserId = "",
+  passcodeHash = "",
+  settings = {},
+}) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return null;
+
+  try {
+    const now = Date.now();
+    const room = await Room.create({
+      roomId: normalizedRoomId,
+      createdByUserId: String(createdByUserId || "").trim(),
+      ownerUserId: String(createdByUserId || "").trim(),
+      passcodeHash: String(passcodeHash || ""),
+      settings,
+      lastActivityAt: new Date(now),
+      expiresAt: computeExpiresAt(now),
+    });
+    return room.toRoomRecord();
+  } catch (error) {
+    console.error("[rooms] persist failed:", error?.message || error);
+    return null;
+  }
+};
+
+export const findPersistedRoom = async (roomId) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return null;
+
+  try {
+    // The TTL monitor only runs periodically, so filter out rooms that are already past expiry.
+    const room = await Room.findOne({
+      roomId: normalizedRoomId,
+      expiresAt: { $gt: new Date() },
+    }).select("+passcodeHash");
+    return room ? room.toRoomRecord() : null;
+  } catch (error) {
+    console.error("[rooms] lookup failed:", error?.message || error);
+    return null;
+  }
+};
+
+export const touchPersistedRoom = async (roomId) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return false;
+
+  try {
+    const now = Date.now();
+    const result = await Room.updateOne(
+      { roomId: normalizedRoomId },
+      { $set: { lastActivityAt: new Date(now), expiresAt: computeExpiresAt(now) } }
+    );
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error("[rooms] touch failed:", error?.message || error);
+    return false;
+  }
+};
+
+export const updatePersistedRoomSettings = async (roomId, settings = {}) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return false;
+
+  const update = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    update[`settings.${key}`] = value;
+  });
+  if (Object.keys(update).length === 0) return false;
+
+  try {
+    const result = await Room.updateOne({ roomId: normalizedRoomId }, { $set: update });
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error("[rooms] settings update failed:", error?.message || error);
+    return false;
+  }
+};
+
+export const updatePersistedRoomOwner = async (roomId, ownerUserId) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return false;
+
+  try {
+    const result = await Room.updateOne(
+      { roomId: normalizedRoomId },
+      { $set: { ownerUserId: String(ownerUserId || "").trim() } }
+    );
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error("[rooms] owner update failed:", error?.message || error);
+    return false;
+  }
+};
+
+export const deletePersistedRoom = async (roomId) => {
+  const normalizedRoomId = normalizeRoomId(roomId);
+  if (!normalizedRoomId || !isRoomPersistenceEnabled()) return false;
+
+  try {
+    const result = await Room.deleteOne({ roomId: normalizedRoomId });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error("[rooms] delete failed:", error?.message || error);
+    return false;
+  }
+};
@@ -0,0 +1,87 @@
+import RoomConfig from "../../../config/roomConfig.js";
+import { RoomServiceError } from "../RoomServiceError.js";
+import RoomSummary from "../models/RoomSummary.js";
+import { isRoomPersistenceEnabled } from "./roomService.js";
+
+const normalizeId = (value) => String(value || "").trim();
+
+// Stores the summary produced when a room ends. Best-effort: without a database attendees only
+// get the `room-summary-ready` event.
+export const saveRoomSummary = async ({
+  summaryId,
+  roomId,
+  summary,
+  bullets,
+  truncated,
+  segments,
+  attendeeUserIds = [],
+  startedAt,
+  endedAt,
+}) => {
+  if (!isRoomPersistenceEnabled()) return null;
+
+  try {
+    const record = await RoomSummary.create({
+      summaryId: normalizeId(summaryId),
+      roomId: normalizeId(roomId),
+      summary,
+      bullets,
+      truncated: !!truncated,
+      segments: segments.map(({ speakerPeerId, speakerLabel, text, startMs, endMs }) => ({
+        speakerPeerId,
+        speakerLabel,
+        text,
+        startMs,
+        endMs,
+      })),
+      attendeeUserIds,
+      startedAt: new Date(startedAt),
+      endedAt: new Date(endedAt),
+      expiresAt: new Date(endedAt + RoomConfig.ROOM_SUMMARY_TTL_MS),
+    });
+    return record.toPublicJSON();
+  } catch (error) {
+    console.error("[rooms] summary persist failed:", error?.message || error);
+    return null;
+  }
+};
+
+const requireSummaryPersistence = () => {
+  if (!isRoomPersistenceEnabled()) {
+    throw new RoomServiceError("Meeting summaries are not stored on this server.", {
+      status: 503,
+      code: "summaries-unavailable",
+    });
+  }
+};
+
+const buildAccessFilter = (userId, isAdmin) =>
+  isAdmin ? {} : { attendeeUserIds: normalizeId(userId) };
+
+export const listRoomSummariesForUser = async (roomId, { userId, isAdmin = false }) => {
+  requireSummaryPersistence();
+
+  const summaries = await RoomSummary.find({
+    roomId: normalizeId(roomId),
+    ...buildAccessFilter(userId, isAdmin),
+  }).sort({ endedAt: -1 });
+  return summaries.map((summary) => summary.toPublicJSON());
+};
+
+// Attendees who cannot see a summary get the same 404 as for a missing one.
+export const getRoomSummaryForUser = async (roomId, summaryId, { userId, isAdmin = false }) => {
+  requireSummaryPersistence();
+
+  const summary = await RoomSummary.findOne({
+    roomId: normalizeId(roomId),
+    summaryId: normalizeId(summaryId),
+    ...buildAccessFilter(userId, isAdmin),
+  });
+  if (!summary) {
+    throw new RoomServiceError("Summary not found.", {
+      status: 404,
+      code: "summary-not-found",
+    });
+  }
+  return summary.toPublicJSON({ includeTranscript: true });
+};
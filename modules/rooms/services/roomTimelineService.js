@@ -0,0 +1,46 @@
+import RoomConfig from "../../../config/roomConfig.js";
+import RoomTimeline from "../models/RoomTimeline.js";
+import { isRoomPersistenceEnabled } from "./roomService.js";
+
+const normalizeId = (value) => String(value || "").trim();
+
+// Stores a finished room session. Best-effort: without a database only live rooms have a
+// timeline.
+export const saveRoomTimeline = async ({ roomId, sessionId, ownerUserId, truncated, events }) => {
+  if (!isRoomPersistenceEnabled() || events.length === 0) return null;
+
+  try {
+    const endedAt = events[events.length - 1].at;
+    const record = await RoomTimeline.create({
+      sessionId: normalizeId(sessionId),
+      roomId: normalizeId(roomId),
+      ownerUserId: normalizeId(ownerUserId),
+      truncated: !!truncated,
+      events,
+      startedAt: new Date(events[0].at),
+      endedAt: new Date(endedAt),
+      expiresAt: new Date(endedAt + RoomConfig.ROOM_TIMELINE_TTL_MS),
+    });
+    return record.toTimelineRecord();
+  } catch (error) {
+    console.error("[rooms] timeline persist failed:", error?.message || error);
+    return null;
+  }
+};
+
+// Returns the requested session, or the most recent one when no session ID is given.
+export const findRoomTimeline = async (roomId, sessionId = "") => {
+  if (!isRoomPersistenceEnabled()) return null;
+
+  const normalizedSessionId = normalizeId(sessionId);
+  const query = { roomId: normalizeId(roomId) };
+  if (normalizedSessionId) query.sessionId = normalizedSessionId;
+
+  try {
+    const record = await RoomTimeline.findOne(query).sort({ endedAt: -1 });
+    return record ? record.toTimelineRecord() : null;
+  } catch (error) {
+    console.error("[rooms] timeline lookup failed:", error?.message || error);
+    return null;
+  }
+};
@@ -0,0 +1,112 @@
+// Builds attendance from a room timeline (see handlers/room/timeline.js). A peer is connected
+// from `joined`/`reconnected`/`resumed` until `left`/`disconnected`/`on-hold`/`closed`; the time
+// a dropped peer spends held for reconnect, or a peer spends on hold in a direct call, does not
+// count. Accounts are reported once even when they joined under several peer IDs.
+const SESSION_START_TYPES = new Set(["joined", "reconnected", "resumed"]);
+const SESSION_END_TYPES = new Set(["left", "disconnected", "on-hold"]);
+
+const CSV_COLUMNS = [
+  "participant",
+  "authUserId",
+  "peerIds",
+  "guest",
+  "firstJoinAt",
+  "lastLeaveAt",
+  "totalConnectedMs",
+  "sessions",
+];
+
+export const buildAttendanceReport = (events, { now = Date.now() } = {}) => {
+  const attendees = new Map();
+  const openSessions = new Map();
+  const peerKeys = new Map();
+  let endedAt = null;
+
+  const closeSession = (peerId, at) => {
+    const startedAt = openSessions.get(peerId);
+    if (startedAt === undefined) return;
+    openSessions.delete(peerId);
+
+    const attendee = attendees.get(peerKeys.get(peerId));
+    attendee.totalConnectedMs += Math.max(0, at - startedAt);
+    attendee.lastLeaveAt = Math.max(attendee.lastLeaveAt || 0, at);
+  };
+
+  events.forEach((event) => {
+    if (event.type === "closed") {
+      endedAt = event.at;
+      [...openSessions.keys()].forEach((peerId) => closeSession(peerId, event.at));
+      return;
+    }
+    if (!event.peerId) return;
+
+    if (SESSION_START_TYPES.has(event.type)) {
+      const key = event.authUserId ? `user:${event.authUserId}` : `peer:${event.peerId}`;
+      peerKeys.set(event.peerId, key);
+      if (!attendees.has(key)) {
+        attendees.set(key, {
+          label: event.label || event.peerId,
+          authUserId: event.authUserId || "",
+          peerIds: [],
+          guest: !!event.guest,
+          firstJoinAt: event.at,
+          lastLeaveAt: null,
+          totalConnectedMs: 0,
+          sessions: 0,
+        });
+      }
+      const attendee = attendees.get(key);
+      if (!attendee.peerIds.includes(event.peerId)) attendee.peerIds.push(event.peerId);
+      closeSession(event.peerId, event.at);
+      openSessions.set(event.peerId, event.at);
+      attendee.sessions += 1;
+      return;
+    }
+
+    if (SESSION_END_TYPES.has(event.type)) {
+      closeSession(event.peerId, event.at);
+    }
+  });
+
+  // Peers still in a live room are counted up to now and have no leave time yet.
+  openSessions.forEach((startedAt, peerId) => {
+    const attendee = attendees.get(peerKeys.get(peerId));
+    attendee.totalConnectedMs += Math.max(0, now - startedAt);
+    attendee.connected = true;
+  });
+
+  return {
+    startedAt: events.find((event) => event.type === "created")?.at ?? null,
+    endedAt,
+    participants: [...attendees.values()]
+      .map((attendee) => ({
+        ...attendee,
+        lastLeaveAt: attendee.connected ? null : attendee.lastLeaveAt,
+        connected: !!attendee.connected,
+      }))
+      .sort((left, right) => left.firstJoinAt - right.firstJoinAt),
+  };
+};
+
+// Display names are user input: cells that a spreadsheet would run as a formula are quoted out.
+const toCsvCell = (value) => {
+  const raw = String(value ?? "");
+  const text = typeof value === "string" && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toIsoOrEmpty = (value) => (value ? new Date(value).toISOString() : "");
+
+export const attendanceReportToCsv = (report) => {
+  const rows = report.participants.map((attendee) => [
+    attendee.label,
+    attendee.authUserId,
+    attendee.peerIds.join(" "),
+    attendee.guest ? "yes" : "no",
+    toIsoOrEmpty(attendee.firstJoinAt),
+    toIsoOrEmpty(attendee.lastLeaveAt),
+    attendee.totalConnectedMs,
+    attendee.sessions,
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(toCsvCell).join(",")).join("\r\n") + "\r\n";
+};
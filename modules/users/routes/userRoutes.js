@@ -4,11 +4,16 @@ import { requireAuth } from "../../auth/middleware/requireAuth.js";
 
 const toPublicDirectoryUser = (item, presenceStore) => {
   const id = String(item?._id || "").trim();
+  const presence = presenceStore.getPublicPresence(id);
   return {
     id,
     email: String(item?.email || "").trim().toLowerCase(),
     displayName: String(item?.displayName || "").trim(),
-    online: presenceStore.isUserOnline(id),
+    online: presence.online,
+    status: presence.status,
+    statusText: presence.text,
+    statusTextExpiresAt: presence.textExpiresAt,
+    lastSeenAt: presence.online ? null : item?.lastSeenAt || null,
   };
 };
 
@@ -27,7 +32,7 @@ export const createUserRouter = ({ authRuntime, presenceStore }) => {
 
     try {
       const users = await User.find({ _id: { $ne: requesterUserId } })
-        .select("_id email displayName")
+        .select("_id email displayName lastSeenAt")
         .sort({ displayName: 1, email: 1 })
         .lean();
 
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "@jest/globals";
+import { createAuthPresenceStore } from "../authPresenceStore.js";
+
+describe("createAuthPresenceStore", () => {
+  it("defaults to available and expires custom status text", () => {
+    let now = 1_000;
+    const store = createAuthPresenceStore({ now: () => now });
+    store.register({ userId: "user-1", socketId: "socket-1" });
+
+    expect(store.getStatus("user-1").status).toBe("available");
+
+    store.setStatus("user-1", { status: "busy", text: "Focus time", textExpiresAt: 5_000 });
+    expect(store.getPublicPresence("user-1")).toEqual({
+      online: true,
+      status: "busy",
+      text: "Focus time",
+      textExpiresAt: 5_000,
+    });
+
+    now = 5_000;
+    expect(store.getStatus("user-1")).toMatchObject({ status: "busy", text: "" });
+  });
+
+  it("shows available users as away once all of their sockets are idle", () => {
+    let now = 0;
+    const store = createAuthPresenceStore({ now: () => now, idleTimeoutMs: 1_000 });
+    store.register({ userId: "user-1", socketId: "socket-1" });
+    store.register({ userId: "user-1", socketId: "socket-2" });
+
+    now = 600;
+    expect(store.recordActivity("socket-2")).toBe("");
+
+    now = 1_200;
+    expect(store.recordActivity("socket-1", { idle: true })).toBe("");
+    expect(store.getStatus("user-1").status).toBe("available");
+
+    now = 1_600;
+    expect(store.refreshIdleUsers()).toEqual(["user-1"]);
+    expect(store.getStatus("user-1")).toMatchObject({ status: "away", autoAway: true });
+
+    expect(store.recordActivity("socket-1")).toBe("user-1");
+    expect(store.getStatus("user-1").status).toBe("available");
+  });
+
+  it("leaves a chosen status alone while the user is idle", () => {
+    let now = 0;
+    const store = createAuthPresenceStore({ now: () => now, idleTimeoutMs: 1_000 });
+    store.register({ userId: "user-1", socketId: "socket-1" });
+    store.setStatus("user-1", { status: "dnd" });
+
+    now = 2_000;
+    store.refreshIdleUsers();
+    expect(store.getStatus("user-1")).toMatchObject({ status: "dnd", autoAway: false });
+  });
+
+  it("hides invisible users from everyone else", () => {
+    const store = createAuthPresenceStore();
+    store.register({ userId: "user-1", socketId: "socket-1" });
+    store.register({ userId: "user-2", socketId: "socket-2" });
+    store.setStatus("user-1", { status: "invisible" });
+
+    expect(store.isUserOnline("user-1")).toBe(true);
+    expect(store.getPublicPresence("user-1")).toEqual({ online: false, status: "offline" });
+  });
+
+  it("tracks who follows whom and forgets a socket's follows when it disconnects", () => {
+    const store = createAuthPresenceStore();
+    store.register({ userId: "user-1", socketId: "socket-1" });
+    store.register({ userId: "user-2", socketId: "socket-2" });
+
+    expect(store.watchUsers("socket-1", ["user-2", "user-3", "user-1"])).toEqual([
+      "user-2",
+      "user-3",
+    ]);
+    expect(store.getWatcherSocketIds("user-2")).toEqual(["socket-1"]);
+
+    store.unwatchUsers("socket-1", ["user-3"]);
+    expect(store.getWatchedUserIds("socket-1")).toEqual(["user-2"]);
+
+    store.unregisterSocket("socket-1");
+    expect(store.getWatcherSocketIds("user-2")).toEqual([]);
+  });
+
+  it("does not let anonymous sockets follow anyone", () => {
+    const store = createAuthPresenceStore();
+    expect(store.watchUsers("socket-anon", ["user-1"])).toEqual([]);
+    expect(store.getWatcherSocketIds("user-1")).toEqual([]);
+  });
+
+  it("keeps the DND allowlist private and the status across reconnects", () => {
+    const store = createAuthPresenceStore();
+    store.register({ userId: "user-1", socketId: "socket-1" });
+    store.setStatus("user-1", { status: "dnd", dndAllowUserIds: ["user-2"] });
+    store.unregisterSocket("socket-1");
+    store.register({ userId: "user-1", socketId: "socket-3" });
+
+    expect(store.getStatus("user-1").dndAllowUserIds).toEqual(["user-2"]);
+    expect(store.getPublicPresence("user-1")).not.toHaveProperty("dndAllowUserIds");
+    expect(store.getPublicPresence("user-1").status).toBe("dnd");
+  });
+});
@@ -1,8 +1,30 @@
+import PresenceConfig from "../config/presenceConfig.js";
+
 const createEmptySet = () => new Set();
 
-export const createAuthPresenceStore = () => {
+export const PRESENCE_STATUSES = ["available", "away", "busy", "dnd", "invisible"];
+
+const DEFAULT_STATUS = "available";
+
+// How many users one socket can follow presence for (contacts plus explicit subscriptions).
+export const MAX_WATCHED_USERS_PER_SOCKET = 500;
+
+// Statuses are chosen by the user and outlive their sockets, so DND or invisible still applies
+// after a reconnect. They are kept in memory only, like the socket maps. On top of that, users
+// who chose "available" show as away once none of their sockets has reported activity for
+// `idleTimeoutMs`.
+export const createAuthPresenceStore = ({
+  now = Date.now,
+  idleTimeoutMs = PresenceConfig.PRESENCE_IDLE_TIMEOUT_MS,
+} = {}) => {
   const userToSockets = new Map();
   const socketToUser = new Map();
+  const userStatuses = new Map();
+  const socketLastActiveAt = new Map();
+  const idleUserIds = new Set();
+  // Presence is only sent to the sockets following a user, in both directions for cheap cleanup.
+  const socketToWatchedUsers = new Map();
+  const userToWatcherSockets = new Map();
 
   const normalizeUserId = (value) => String(value || "").trim();
   const normalizeSocketId = (value) => String(value || "").trim();
@@ -27,6 +49,9 @@ export const createAuthPresenceStore = () => {
     socketIds.add(normalizedSocketId);
     userToSockets.set(normalizedUserId, socketIds);
     socketToUser.set(normalizedSocketId, normalizedUserId);
+    // Connecting counts as activity.
+    socketLastActiveAt.set(normalizedSocketId, now());
+    idleUserIds.delete(normalizedUserId);
     return true;
   };
 
@@ -38,13 +63,17 @@ export const createAuthPresenceStore = () => {
     if (!userId) return "";
 
     socketToUser.delete(normalizedSocketId);
+    socketLastActiveAt.delete(normalizedSocketId);
+    unwatchUsers(normalizedSocketId, getWatchedUserIds(normalizedSocketId));
     const socketIds = userToSockets.get(userId);
     if (socketIds) {
       socketIds.delete(normalizedSocketId);
       if (socketIds.size === 0) {
         userToSockets.delete(userId);
+        idleUserIds.delete(userId);
       } else {
         userToSockets.set(userId, socketIds);
+        refreshIdleUser(userId);
       }
     }
     return userId;
@@ -62,6 +91,123 @@ export const createAuthPresenceStore = () => {
 
   const getOnlineUserIds = () => Array.from(userToSockets.keys());
 
+  // A user is idle when every one of their sockets has been quiet for the idle timeout. Returns
+  // true when that changed.
+  const refreshIdleUser = (userId) => {
+    const lastActiveAt = Math.max(
+      ...getSocketIdsForUser(userId).map((socketId) => socketLastActiveAt.get(socketId) || 0)
+    );
+    const idle = isUserOnline(userId) && now() - lastActiveAt >= idleTimeoutMs;
+    if (idle === idleUserIds.has(userId)) return false;
+    if (idle) idleUserIds.add(userId);
+    else idleUserIds.delete(userId);
+    return true;
+  };
+
+  // Heartbeats flagged idle do not count as activity; they only keep the socket from looking
+  // like it stopped reporting. Returns the socket's user when their idle state changed.
+  const recordActivity = (socketId, { idle = false } = {}) => {
+    const userId = getUserIdForSocket(socketId);
+    if (!userId) return "";
+    if (!idle) {
+      socketLastActiveAt.set(normalizeSocketId(socketId), now());
+    }
+    return refreshIdleUser(userId) ? userId : "";
+  };
+
+  // Returns the users whose idle state changed since the last check.
+  const refreshIdleUsers = () => getOnlineUserIds().filter(refreshIdleUser);
+
+  // Adds users to a socket's follow list, up to the per-socket cap. Returns the full list.
+  const watchUsers = (socketId, userIds) => {
+    const normalizedSocketId = normalizeSocketId(socketId);
+    const watcherUserId = getUserIdForSocket(normalizedSocketId);
+    if (!watcherUserId) return [];
+
+    const watchedUserIds = socketToWatchedUsers.get(normalizedSocketId) || createEmptySet();
+    userIds.map(normalizeUserId).forEach((userId) => {
+      if (!userId || userId === watcherUserId) return;
+      if (watchedUserIds.size >= MAX_WATCHED_USERS_PER_SOCKET) return;
+      watchedUserIds.add(userId);
+      const watcherSocketIds = userToWatcherSockets.get(userId) || createEmptySet();
+      watcherSocketIds.add(normalizedSocketId);
+      userToWatcherSockets.set(userId, watcherSocketIds);
+    });
+    socketToWatchedUsers.set(normalizedSocketId, watchedUserIds);
+    return Array.from(watchedUserIds);
+  };
+
+  const unwatchUsers = (socketId, userIds) => {
+    const normalizedSocketId = normalizeSocketId(socketId);
+    const watchedUserIds = socketToWatchedUsers.get(normalizedSocketId);
+    if (!watchedUserIds) return;
+
+    userIds.map(normalizeUserId).forEach((userId) => {
+      watchedUserIds.delete(userId);
+      const watcherSocketIds = userToWatcherSockets.get(userId);
+      if (!watcherSocketIds) return;
+      watcherSocketIds.delete(normalizedSocketId);
+      if (watcherSocketIds.size === 0) {
+        userToWatcherSockets.delete(userId);
+      }
+    });
+    if (watchedUserIds.size === 0) {
+      socketToWatchedUsers.delete(normalizedSocketId);
+    }
+  };
+
+  const getWatchedUserIds = (socketId) =>
+    Array.from(socketToWatchedUsers.get(normalizeSocketId(socketId)) || []);
+
+  const getWatcherSocketIds = (userId) =>
+    Array.from(userToWatcherSockets.get(normalizeUserId(userId)) || []);
+
+  // Custom status text disappears once its expiry has passed. Idle users who chose "available"
+  // are reported as away; any other chosen status is left alone.
+  const getStatus = (userId) => {
+    const normalizedUserId = normalizeUserId(userId);
+    const entry = userStatuses.get(normalizedUserId);
+    const textExpired = !!entry?.textExpiresAt && entry.textExpiresAt <= now();
+    const selectedStatus = entry?.status || DEFAULT_STATUS;
+    const autoAway = selectedStatus === DEFAULT_STATUS && idleUserIds.has(normalizedUserId);
+    return {
+      status: autoAway ? "away" : selectedStatus,
+      selectedStatus,
+      autoAway,
+      text: textExpired ? "" : entry?.text || "",
+      textExpiresAt: textExpired ? null : entry?.textExpiresAt || null,
+      dndAllowUserIds: entry?.dndAllowUserIds || [],
+    };
+  };
+
+  const setStatus = (userId, { status, text, textExpiresAt, dndAllowUserIds }) => {
+    const normalizedUserId = normalizeUserId(userId);
+    if (!normalizedUserId) return null;
+    userStatuses.set(normalizedUserId, {
+      status: PRESENCE_STATUSES.includes(status) ? status : DEFAULT_STATUS,
+      text: String(text || ""),
+      textExpiresAt: text ? textExpiresAt || null : null,
+      dndAllowUserIds: Array.isArray(dndAllowUserIds) ? dndAllowUserIds : [],
+    });
+    return getStatus(normalizedUserId);
+  };
+
+  // Invisible users are online for the server but offline to everyone else.
+  const isUserVisible = (userId) =>
+    isUserOnline(userId) && getStatus(userId).status !== "invisible";
+
+  // What other users may see of someone's presence; the DND allowlist stays private.
+  const getPublicPresence = (userId) => {
+    if (!isUserVisible(userId)) return { online: false, status: "offline" };
+    const { status, text, textExpiresAt } = getStatus(userId);
+    return {
+      online: true,
+      status,
+      text: text || undefined,
+      textExpiresAt: textExpiresAt || undefined,
+    };
+  };
+
   const getUserIdForSocket = (socketId) => {
     const normalizedSocketId = normalizeSocketId(socketId);
     if (!normalizedSocketId) return "";
@@ -75,5 +221,15 @@ export const createAuthPresenceStore = () => {
     getOnlineUserIds,
     isUserOnline,
     getUserIdForSocket,
+    recordActivity,
+    refreshIdleUsers,
+    getStatus,
+    setStatus,
+    isUserVisible,
+    getPublicPresence,
+    watchUsers,
+    unwatchUsers,
+    getWatchedUserIds,
+    getWatcherSocketIds,
   };
 };
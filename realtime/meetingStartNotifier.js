@@ -0,0 +1,57 @@
+import MeetingConfig from "../config/meetingConfig.js";
+import { getDatabaseState } from "../database/connectDatabase.js";
+import { claimStartedMeetings } from "../modules/meetings/services/meetingService.js";
+
+// Polls for scheduled meetings that have just started and tells the organizer and invitees who
+// are currently online. Users who are offline simply find the meeting in `GET /api/meetings`.
+export const createMeetingStartNotifier = ({ io, presenceStore }) => {
+  let intervalId = null;
+  let checking = false;
+
+  const notifyMeetingStarted = (meeting) => {
+    const payload = {
+      meetingId: meeting.id,
+      roomId: meeting.roomId,
+      title: meeting.title,
+      organizerUserId: meeting.organizerUserId,
+      startAt: meeting.startAt,
+      endAt: meeting.endAt,
+    };
+
+    [meeting.organizerUserId, ...meeting.inviteeUserIds].forEach((userId) => {
+      presenceStore.getSocketIdsForUser(userId).forEach((socketId) => {
+        io.to(socketId).emit("meeting-started", payload);
+      });
+    });
+  };
+
+  const checkStartedMeetings = async () => {
+    if (checking || !getDatabaseState().connected) return;
+    checking = true;
+
+    try {
+      const meetings = await claimStartedMeetings();
+      meetings.forEach(notifyMeetingStarted);
+    } catch (error) {
+      console.error("[meetings] start check failed:", error?.message || error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  const start = () => {
+    if (intervalId) return;
+    intervalId = setInterval(() => {
+      void checkStartedMeetings();
+    }, MeetingConfig.MEETING_START_CHECK_INTERVAL_MS);
+    intervalId.unref?.();
+  };
+
+  const stop = () => {
+    if (!intervalId) return;
+    clearInterval(intervalId);
+    intervalId = null;
+  };
+
+  return { start, stop, checkStartedMeetings };
+};
@@ -0,0 +1,29 @@
+import PresenceConfig from "../config/presenceConfig.js";
+import { emitOwnPresenceStatus, publishPresence } from "../handlers/presenceHandler.js";
+
+// Users go away by not doing anything, so no socket event marks the moment. This checks the
+// presence store on an interval and publishes whenever someone's idle state flipped.
+export const createPresenceIdleMonitor = ({ io, presenceStore }) => {
+  let intervalId = null;
+
+  const checkIdleUsers = () => {
+    presenceStore.refreshIdleUsers().forEach((userId) => {
+      emitOwnPresenceStatus(io, presenceStore, userId, presenceStore.getSocketIdsForUser(userId));
+      publishPresence(io, presenceStore, userId);
+    });
+  };
+
+  const start = () => {
+    if (intervalId) return;
+    intervalId = setInterval(checkIdleUsers, PresenceConfig.PRESENCE_IDLE_CHECK_INTERVAL_MS);
+    intervalId.unref?.();
+  };
+
+  const stop = () => {
+    if (!intervalId) return;
+    clearInterval(intervalId);
+    intervalId = null;
+  };
+
+  return { start, stop, checkIdleUsers };
+};
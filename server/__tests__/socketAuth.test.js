@@ -0,0 +1,55 @@
+import { describe, it, expect } from "@jest/globals";
+import { createAccessToken, createGuestToken } from "../../modules/auth/utils/tokenUtils.js";
+import { resolveSocketAuthenticatedUser, resolveSocketGuest } from "../socketAuth.js";
+
+const SECRET = "test-secret";
+const AUTH_RUNTIME = { enabled: true, jwtSecret: SECRET };
+
+const socketWith = (auth) => ({ handshake: { auth } });
+
+const makeGuestToken = () =>
+  createGuestToken({ guestId: "guest-1", displayName: "Visitor", secret: SECRET, expiresIn: 60 });
+
+describe("resolveSocketGuest", () => {
+  it("reads the guest identity from a guest token", () => {
+    const socket = socketWith({ guestToken: makeGuestToken() });
+
+    expect(resolveSocketGuest({ socket, authRuntime: AUTH_RUNTIME })).toEqual({
+      guestId: "guest-1",
+      displayName: "Visitor",
+    });
+  });
+
+  it("ignores access tokens and tokens signed with another secret", () => {
+    const accessToken = createAccessToken({
+      userId: "user-1",
+      email: "user@example.com",
+      secret: SECRET,
+      expiresIn: 60,
+    });
+    const foreignToken = createGuestToken({
+      guestId: "guest-1",
+      displayName: "Visitor",
+      secret: "other-secret",
+      expiresIn: 60,
+    });
+
+    [accessToken, foreignToken].forEach((guestToken) => {
+      expect(
+        resolveSocketGuest({ socket: socketWith({ guestToken }), authRuntime: AUTH_RUNTIME })
+      ).toEqual({ guestId: "", displayName: "" });
+    });
+  });
+
+  it("does not treat a guest token as an account", () => {
+    const socket = socketWith({ accessToken: makeGuestToken() });
+
+    expect(resolveSocketAuthenticatedUser({ socket, authRuntime: AUTH_RUNTIME }).userId).toBe("");
+  });
+
+  it("resolves nobody while auth is disabled", () => {
+    const socket = socketWith({ guestToken: makeGuestToken() });
+
+    expect(resolveSocketGuest({ socket, authRuntime: { enabled: false } }).guestId).toBe("");
+  });
+});
@@ -35,5 +35,5 @@ export const createCorsOptions = () => ({
     }
     callback(new Error("CORS origin blocked"));
   },
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "PATCH", "DELETE"],
 });
@@ -3,7 +3,12 @@ import express from "express";
 import { createCorsOptions } from "./corsPolicy.js";
 import { registerHttpRoutes } from "./routes.js";
 
-export const createApp = ({ authRuntime = null, presenceStore = null } = {}) => {
+export const createApp = ({
+  authRuntime = null,
+  presenceStore = null,
+  roomAdmin = null,
+  roomFiles = null,
+} = {}) => {
   const app = express();
 
   app.use(cors(createCorsOptions()));
@@ -16,6 +21,6 @@ export const createApp = ({ authRuntime = null, presenceStore = null } = {}) =>
     next();
   });
 
-  registerHttpRoutes(app, { authRuntime, presenceStore });
+  registerHttpRoutes(app, { authRuntime, presenceStore, roomAdmin, roomFiles });
   return app;
 };
@@ -1,19 +1,37 @@
 import fs from "fs";
 import ServerConfig from "../config/serverConfig.js";
 import { createAuthRouter } from "../modules/auth/routes/authRoutes.js";
+import { createCallRouter } from "../modules/calls/routes/callRoutes.js";
 import { createUserRouter } from "../modules/users/routes/userRoutes.js";
+import { createMeetingRouter } from "../modules/meetings/routes/meetingRoutes.js";
+import { createRoomFileRouter } from "../modules/rooms/routes/roomFileRoutes.js";
+import { createRoomRouter } from "../modules/rooms/routes/roomRoutes.js";
 import { createSummarizeRouter } from "../modules/summarizer/routes/summarizeRoutes.js";
 
 export const registerHttpRoutes = (app, options = {}) => {
-  const { authRuntime = null, presenceStore = null } = options;
+  const {
+    authRuntime = null,
+    presenceStore = null,
+    roomAdmin = null,
+    roomFiles = null,
+  } = options;
   app.use("/api", createSummarizeRouter());
 
+  // Room file sharing is authorised per room socket, so it is available without the auth layer.
+  // Mounted before the account-only /api/rooms router.
+  if (roomFiles) {
+    app.use("/api/rooms", createRoomFileRouter({ roomFiles }));
+  }
+
   app.get("/health", (req, res) => {
     res.send("OK");
   });
 
   if (authRuntime) {
     app.use("/api/auth", createAuthRouter(authRuntime));
+    app.use("/api/meetings", createMeetingRouter({ authRuntime }));
+    app.use("/api/calls", createCallRouter({ authRuntime }));
+    app.use("/api/rooms", createRoomRouter({ authRuntime, roomAdmin }));
     if (presenceStore) {
       app.use("/api/users", createUserRouter({ authRuntime, presenceStore }));
     }
@@ -1,4 +1,4 @@
-import { verifyAccessToken } from "../modules/auth/utils/tokenUtils.js";
+import { verifyAccessToken, verifyGuestToken } from "../modules/auth/utils/tokenUtils.js";
 
 const normalizeToken = (value) => String(value || "").trim();
 
@@ -26,3 +26,28 @@ export const resolveSocketAuthenticatedUser = ({ socket, authRuntime }) => {
     return { userId: "", email: "", displayName: "" };
   }
 };
+
+// Guests connect with `auth.guestToken` from POST /api/auth/guest instead of an access token.
+export const resolveSocketGuest = ({ socket, authRuntime }) => {
+  if (!authRuntime?.enabled || !authRuntime?.jwtSecret) {
+    return { guestId: "", displayName: "" };
+  }
+
+  const guestToken = normalizeToken(socket.handshake?.auth?.guestToken);
+  if (!guestToken) {
+    return { guestId: "", displayName: "" };
+  }
+
+  try {
+    const decoded = verifyGuestToken({
+      token: guestToken,
+      secret: authRuntime.jwtSecret,
+    });
+    return {
+      guestId: String(decoded?.sub || "").trim(),
+      displayName: String(decoded?.displayName || "").trim(),
+    };
+  } catch {
+    return { guestId: "", displayName: "" };
+  }
+};
@@ -5,7 +5,7 @@ import roomHandler from "../handlers/roomHandler.js";
 import remoteDesktopHandler from "../handlers/remoteDesktopHandler.js";
 import createDirectCallHandler from "../handlers/directCallHandler.js";
 import { createPresenceHandler } from "../handlers/presenceHandler.js";
-import { resolveSocketAuthenticatedUser } from "./socketAuth.js";
+import { resolveSocketAuthenticatedUser, resolveSocketGuest } from "./socketAuth.js";
 import { createCorsOptions } from "./corsPolicy.js";
 
 export const createSocketServer = (server, options = {}) => {
@@ -54,11 +54,20 @@ export const createSocketServer = (server, options = {}) => {
       });
     }
 
+    if (!resolvedAuthUser.userId) {
+      const resolvedGuest = resolveSocketGuest({ socket, authRuntime });
+      if (resolvedGuest.guestId) {
+        socket.data.guest = true;
+        socket.data.guestId = resolvedGuest.guestId;
+        socket.data.guestDisplayName = resolvedGuest.displayName;
+      }
+    }
+
     const presenceHandler = createPresenceHandler({
       io,
       socket,
       presenceStore: presenceStore || {
-        getOnlineUserIds: () => [],
+        recordActivity: () => "",
         unregisterSocket: () => "",
       },
     });
@@ -67,13 +76,15 @@ export const createSocketServer = (server, options = {}) => {
       presenceHandler.handleAuthenticatedConnect();
     }
 
-    roomHandler(socket);
+    const roomSession = roomHandler(socket);
     remoteDesktopHandler(io, socket);
     createDirectCallHandler({
       io,
       socket,
+      roomSession,
       presenceStore: presenceStore || {
         getSocketIdsForUser: () => [],
+        getStatus: () => ({ status: "available", dndAllowUserIds: [] }),
         unregisterSocket: () => "",
       },
       authRuntime: authRuntime || {